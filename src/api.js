@@ -0,0 +1,156 @@
+import express from 'express';
+import { config } from './config.js';
+import { authenticateApiRequest } from './auth.js';
+import { getAllActiveAlerts, getActiveAlert, deleteActiveAlert, getMessagesForAlert, deleteMessageMapByAlertId, deleteSilenceMapBySilenceId } from './db.js';
+import { sendGrafanaSilence, fetchGrafanaSilences, expireGrafanaSilence } from './grafana.js';
+import { parseMatchers, matchesMatchers, parseDuration, getAlertRooms, getAllRooms } from './util.js';
+import { getAlertSeverity } from './severity.js';
+import { recordAlertEvent } from './history.js';
+
+// Query parameters of GET /api/alerts that are not label filters
+const RESERVED_PARAMS = ['matchers'];
+
+const toApiAlert = (alert) => ({
+    ...alert,
+    severity: getAlertSeverity(alert),
+    rooms: getAlertRooms(alert),
+    messages: getMessagesForAlert(alert.fingerprint),
+});
+
+// `?matchers=team=db,host=~db-.*` in Alertmanager syntax, every other parameter filters by label value (`?host=db-03`)
+const getAlertFilter = (query) => {
+    const labels = Object.fromEntries(Object.entries(query).filter(([name]) => !RESERVED_PARAMS.includes(name)));
+    return [...parseMatchers(query.matchers), ...parseMatchers(labels)];
+};
+
+// Silence targets are configured per webhook source; "default" is used without WEBHOOK_SOURCES
+const isKnownSource = (source) => source === undefined || source === 'default' || Object.hasOwn(config.WEBHOOK_SOURCES ?? {}, source);
+
+// Labels of a silence become equality matchers. Names have to be valid label names and values must not be empty,
+// as a silence with only empty matchers would be rejected by the Alertmanager (or match every alert without the label).
+const getLabelsError = (labels) => {
+    if (!labels || typeof labels !== 'object' || Array.isArray(labels) || Object.keys(labels).length === 0) {
+        return 'labels must be an object with at least one label';
+    }
+    for (const [name, value] of Object.entries(labels)) {
+        if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) return `Invalid label name: ${name}`;
+        if ((typeof value !== 'string' && typeof value !== 'number') || String(value) === '') return `Invalid value of label ${name}`;
+    }
+    return undefined;
+};
+
+const requireApiAuth = (req, res, next) => {
+    const client = authenticateApiRequest(req);
+    if (!client) {
+        console.warn(`Rejected unauthenticated API request from ${req.ip}`);
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    req.apiClient = client;
+    next();
+};
+
+// JSON API for runbook automation and scripts. Every request needs a bearer token from API_TOKENS; the name of the token
+// is recorded as the actor (`api:<name>`) of silences and forgotten alerts.
+// `sendSummary(severity, enforceSending, roomId)` and `silenceAlert(alertId, options)` are the same actions as the chat commands.
+const createApiRouter = ({ sendSummary, silenceAlert }) => {
+    const router = express.Router();
+    router.use(requireApiAuth);
+
+    router.get('/alerts', (req, res) => {
+        let matchers;
+        try {
+            matchers = getAlertFilter(req.query);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.json(getAllActiveAlerts().filter(alert => matchesMatchers(alert, matchers)).map(toApiAlert));
+    });
+
+    router.get('/alerts/:id', (req, res) => {
+        const alert = getActiveAlert(req.params.id);
+        if (!alert) return res.status(404).json({ error: 'Alert not found' });
+        res.json(toApiAlert(alert));
+    });
+
+    // Forgets an alert that is no longer firing, but was never resolved (e.g. its rule was deleted). Nothing is posted.
+    router.delete('/alerts/:id', (req, res) => {
+        const alert = getActiveAlert(req.params.id);
+        if (!alert) return res.status(404).json({ error: 'Alert not found' });
+
+        console.log(`Alert ${alert.fingerprint} forgotten by api:${req.apiClient}`);
+        recordAlertEvent(alert, 'resolve', { actor: `api:${req.apiClient}`, details: { forgotten: true } });
+        deleteActiveAlert(alert.fingerprint);
+        deleteMessageMapByAlertId(alert.fingerprint);
+        res.status(204).end();
+    });
+
+    // Posts a summary of `severity` to `room`, or to every routed room
+    router.post('/summary', async (req, res) => {
+        const { severity, room } = req.body ?? {};
+        if (!severity) return res.status(400).json({ error: 'severity is required' });
+        if (room && !getAllRooms().includes(room)) return res.status(400).json({ error: `Unknown room ${room}` });
+
+        console.log(`Received API summary request for ${severity} from api:${req.apiClient}`);
+        await sendSummary(String(severity).toUpperCase(), true, room);
+        res.status(202).json({ severity: String(severity).toUpperCase(), rooms: room ? [room] : getAllRooms() });
+    });
+
+    router.get('/silences', async (_req, res) => {
+        res.json(await fetchGrafanaSilences());
+    });
+
+    // Silences an active alert by `fingerprint` (confirmed in its thread, like a silence reaction),
+    // or any alerts with the given `labels` at the silence target of `source`
+    router.post('/silences', async (req, res) => {
+        const { fingerprint, labels, source, duration = config.SILENCE_DEFAULT_DURATION, comment } = req.body ?? {};
+        const durationMs = parseDuration(duration);
+        if (!durationMs) return res.status(400).json({ error: `Invalid duration: ${duration} (e.g. 30m, 8h, 7d)` });
+        if (!isKnownSource(source)) return res.status(400).json({ error: `Unknown source ${source}` });
+
+        const sender = `api:${req.apiClient}`;
+        const start = new Date();
+        const end = new Date(start.getTime() + durationMs);
+        let silenceId;
+
+        if (fingerprint) {
+            if (!getActiveAlert(fingerprint)) return res.status(404).json({ error: 'Alert not found' });
+            silenceId = await silenceAlert(fingerprint, { duration, comment, sender });
+        } else if (labels !== undefined) {
+            const error = getLabelsError(labels);
+            if (error) return res.status(400).json({ error });
+
+            const values = Object.fromEntries(Object.entries(labels).map(([name, value]) => [name, String(value)]));
+            silenceId = await sendGrafanaSilence({ labels: values, source }, start, end, {
+                createdBy: sender,
+                comment: comment || `Silenced via API for ${duration}`
+            });
+        } else {
+            return res.status(400).json({ error: 'fingerprint or labels are required' });
+        }
+
+        if (!silenceId) return res.status(502).json({ error: 'Silence could not be created' });
+        console.log(`Silence ${silenceId} created by ${sender} until ${end.toISOString()}`);
+        res.status(201).json({ silenceId: typeof silenceId === 'string' ? silenceId : undefined, endsAt: end.toISOString() });
+    });
+
+    // `?source=` selects the alert source of the silence, otherwise every silence target is tried
+    router.delete('/silences/:id', async (req, res) => {
+        if (!isKnownSource(req.query.source)) return res.status(400).json({ error: `Unknown source ${req.query.source}` });
+
+        const expired = await expireGrafanaSilence(req.params.id, req.query.source);
+        if (!expired) return res.status(502).json({ error: 'Silence could not be expired' });
+
+        console.log(`Silence ${req.params.id} expired by api:${req.apiClient}`);
+        deleteSilenceMapBySilenceId(req.params.id);
+        res.status(204).end();
+    });
+
+    router.use((error, _req, res, _next) => {
+        console.error('Error processing API request:', error.message);
+        res.status(500).json({ error: 'Internal error' });
+    });
+
+    return router;
+};
+
+export { createApiRouter };
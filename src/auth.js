@@ -0,0 +1,136 @@
+import crypto from 'node:crypto';
+import { config } from './config.js';
+
+// Constant time comparison, also for inputs of different length
+const safeEqual = (a, b) => {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+};
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+// Credentials that are not configured never match, e.g. "Bearer undefined"
+const checkBasicAuth = (req, username, password) => {
+    if (!isSet(username) || !isSet(password)) return false;
+
+    const header = req.get('authorization') || '';
+    if (!header.startsWith('Basic ')) return false;
+
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return false;
+
+    // Evaluate both to not leak which one was wrong through timing
+    const userOk = safeEqual(decoded.slice(0, separator), username);
+    const passwordOk = safeEqual(decoded.slice(separator + 1), password);
+    return userOk && passwordOk;
+};
+
+const checkBearerToken = (req, token) => {
+    if (!isSet(token)) return false;
+
+    const header = req.get('authorization') || '';
+    if (!header.startsWith('Bearer ')) return false;
+
+    return safeEqual(header.slice(7).trim(), token);
+};
+
+// Grafana signs the raw body (prefixed with "<timestamp>:" if a timestamp header is configured) with HMAC-SHA256.
+const checkHmacSignature = (req, source) => {
+    if (!isSet(source.secret)) return false;
+
+    const signature = req.get(source.header || 'X-Grafana-Alerting-Signature');
+    if (!signature || !req.rawBody) return false;
+
+    let payload = req.rawBody;
+    if (source.timestampHeader) {
+        const timestamp = req.get(source.timestampHeader);
+        if (!timestamp) return false;
+
+        const maxAge = source.maxAge ?? 300;
+        if (maxAge > 0 && Math.abs(Date.now() / 1000 - Number(timestamp)) > maxAge) return false;
+
+        payload = Buffer.concat([Buffer.from(`${timestamp}:`), req.rawBody]);
+    }
+
+    const expected = crypto.createHmac('sha256', source.secret).update(payload).digest('hex');
+    return safeEqual(signature.trim().toLowerCase(), expected);
+};
+
+const REQUIRED_CREDENTIALS = { basic: ['username', 'password'], bearer: ['token'], hmac: ['secret'] };
+
+const getConfiguredSources = () => {
+    const sources = config.WEBHOOK_SOURCES;
+    return sources && typeof sources === 'object' ? Object.entries(sources) : [];
+};
+
+// Sources are validated once per (re)load of the config, which replaces WEBHOOK_SOURCES.
+// Sources without their credentials are logged and ignored.
+let validatedSources = { source: undefined, sources: [] };
+
+const getWebhookSources = () => {
+    if (validatedSources.source === config.WEBHOOK_SOURCES) return validatedSources.sources;
+
+    const sources = [];
+    for (const [name, source] of getConfiguredSources()) {
+        const missing = (REQUIRED_CREDENTIALS[source?.auth] ?? []).filter(key => !isSet(source[key]));
+        if (!source || missing.length > 0) {
+            console.error(`Ignoring webhook source ${name}: missing ${source ? missing.join(', ') : 'config'}`);
+            continue;
+        }
+        sources.push([name, source]);
+    }
+
+    validatedSources = { source: config.WEBHOOK_SOURCES, sources };
+    return sources;
+};
+
+// With WEBHOOK_SOURCES configured, requests have to match one of its valid sources
+const isWebhookAuthEnabled = () => getConfiguredSources().length > 0;
+
+const verifySource = (req, source) => {
+    switch (source.auth) {
+        case 'basic':
+            return checkBasicAuth(req, source.username, source.password);
+        case 'bearer':
+            return checkBearerToken(req, source.token);
+        case 'hmac':
+            return checkHmacSignature(req, source);
+        case 'none':
+            return true;
+        default:
+            console.error(`Unknown auth type for webhook source: ${source.auth}`);
+            return false;
+    }
+};
+
+// Returns the name of the webhook source whose credentials match the request, or undefined.
+// Without configured sources every request is accepted (source "default").
+const authenticateWebhook = (req) => {
+    if (!isWebhookAuthEnabled()) return 'default';
+
+    for (const [name, source] of getWebhookSources()) {
+        if (verifySource(req, source)) {
+            return name;
+        }
+    }
+    return undefined;
+};
+
+const getApiTokens = () => {
+    const tokens = config.API_TOKENS;
+    return tokens && typeof tokens === 'object' ? Object.entries(tokens) : [];
+};
+
+// Returns the name of the API token sent as bearer token, or undefined. Without API_TOKENS, the API is disabled.
+const authenticateApiRequest = (req) => {
+    for (const [name, token] of getApiTokens()) {
+        if (token && checkBearerToken(req, token)) {
+            return name;
+        }
+    }
+    return undefined;
+};
+
+export { authenticateWebhook, authenticateApiRequest, getApiTokens, checkBasicAuth, checkBearerToken, getWebhookSources, isWebhookAuthEnabled };
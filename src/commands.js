@@ -0,0 +1,162 @@
+import { config } from './config.js';
+import { parseDuration, parseMatchers } from './util.js';
+import { getSeverityLevel, getSeverityLevels } from './severity.js';
+
+// Chat commands. Each command declares:
+// - `name` (subcommands like "maintenance start" are separate commands) and `aliases`
+// - `args`: [{ name, type, optional, label }], parsed from the words after the command name, see ARGUMENT_TYPES
+// - `description` and `example` for .help
+// - `permission`: the action it needs to be allowed for (see permissions.js), if any
+// - `replyToAlert`: the command has to be sent as a reply to an alert message
+// - `run(args, context)`: context is { event, roomId, sender } (and `targetEventId`, `alertIds` for replies to alerts)
+const commands = [];
+
+const registerCommand = (command) => {
+    commands.push(command);
+};
+
+const getCommands = () => commands;
+
+const getCommandPrefix = () => config.COMMAND_PREFIX || '.';
+
+const formatCommand = (name) => `${getCommandPrefix()}${name}`;
+
+const parseNumber = (value) => {
+    if (!/^#?\d+$/.test(value)) throw new Error(`Not a number: ${value}`);
+    return Number(value.replace(/^#/, ''));
+};
+
+const parseDurationArgument = (value) => {
+    if (!parseDuration(value)) throw new Error(`Invalid duration: ${value} (e.g. 30m, 8h, 7d)`);
+    return value;
+};
+
+const parseSeverity = (value) => {
+    if (!getSeverityLevel(value)) {
+        throw new Error(`Unknown severity: ${value} (one of ${getSeverityLevels().map(level => level.name).join(', ')})`);
+    }
+    return value.toUpperCase();
+};
+
+const parseUser = (value) => {
+    if (!/^@?[^:\s]+:\S+$/.test(value)) throw new Error(`Not a Matrix user ID: ${value} (e.g. @alice:example.org)`);
+    return value.startsWith('@') ? value : `@${value}`;
+};
+
+// `greedy` types take all words that are not needed by the other arguments (label matchers may contain spaces).
+// Parsers from util.js are only called at parse time: util.js imports this module indirectly (through messages.js).
+const ARGUMENT_TYPES = {
+    word: { parse: (value) => value },
+    number: { parse: parseNumber },
+    duration: { parse: parseDurationArgument },
+    severity: { parse: parseSeverity },
+    user: { parse: parseUser },
+    matchers: { parse: (value) => parseMatchers(value), greedy: true },
+    text: { parse: (value) => value, greedy: true },
+};
+
+const parseValue = (spec, value) => ARGUMENT_TYPES[spec.type].parse(value);
+
+const canParse = (spec, value) => {
+    try {
+        parseValue(spec, value);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Arguments before a greedy argument are taken from the front, the ones after it from the back. Optional arguments after it
+// are only taken if the word fits their type, e.g. the period of ".history team=db 30d".
+const parseArguments = (command, words) => {
+    const specs = command.args ?? [];
+    const greedyIndex = specs.findIndex(spec => ARGUMENT_TYPES[spec.type].greedy);
+    const before = greedyIndex === -1 ? specs : specs.slice(0, greedyIndex);
+    const after = greedyIndex === -1 ? [] : specs.slice(greedyIndex + 1);
+    const rest = [...words];
+    const args = {};
+
+    const missing = (spec) => new Error(`Missing ${spec.label ?? spec.name}`);
+
+    for (const spec of before) {
+        if (rest.length > 0) {
+            args[spec.name] = parseValue(spec, rest.shift());
+        } else if (!spec.optional) {
+            throw missing(spec);
+        }
+    }
+
+    for (const spec of [...after].reverse()) {
+        if (rest.length > 0 && (!spec.optional || canParse(spec, rest.at(-1)))) {
+            args[spec.name] = parseValue(spec, rest.pop());
+        } else if (!spec.optional) {
+            throw missing(spec);
+        }
+    }
+
+    if (greedyIndex !== -1) {
+        const spec = specs[greedyIndex];
+        if (rest.length > 0) {
+            args[spec.name] = parseValue(spec, rest.join(' '));
+        } else if (!spec.optional) {
+            throw missing(spec);
+        }
+    } else if (rest.length > 0) {
+        throw new Error(`Unexpected argument: ${rest[0]}`);
+    }
+
+    return args;
+};
+
+// e.g. ".silence <duration> [comment]"
+const getUsage = (command) => {
+    const args = (command.args ?? []).map(spec => {
+        const label = spec.label ?? spec.name;
+        return spec.optional ? `[${label}]` : `<${label}>`;
+    });
+    return [formatCommand(command.name), ...args].join(' ');
+};
+
+const findCommand = (name) => commands.find(command => command.name === name || command.aliases?.includes(name));
+
+// Splits a message into the command and its arguments. Returns undefined if the message is not a command,
+// and { name, words } without `command` for unknown commands.
+const parseCommand = (body) => {
+    const prefix = getCommandPrefix();
+    if (!body.startsWith(prefix) || !/^[a-z]/i.test(body.slice(prefix.length))) return undefined;
+
+    const [name, ...words] = body.slice(prefix.length).trim().split(/\s+/);
+    const subcommand = words.length > 0 && findCommand(`${name} ${words[0]}`.toLowerCase());
+    if (subcommand) return { command: subcommand, name: subcommand.name, words: words.slice(1) };
+
+    return { command: findCommand(name.toLowerCase()), name, words };
+};
+
+const getEditDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// The command that was most likely meant by an unknown command name: a typo of a name or alias,
+// or a name with something appended (".summaryfoo")
+const getCommandSuggestion = (name) => {
+    const input = name.toLowerCase();
+    const candidates = [...new Set(commands.flatMap(command => [command.name, ...(command.aliases ?? [])]).map(n => n.split(' ')[0]))];
+
+    const appended = candidates.filter(candidate => input.startsWith(candidate)).sort((a, b) => b.length - a.length)[0];
+    if (appended) return appended;
+
+    const [closest] = candidates
+        .map(candidate => ({ candidate, distance: getEditDistance(input, candidate) }))
+        .sort((a, b) => a.distance - b.distance);
+    return closest && closest.distance <= 2 ? closest.candidate : undefined;
+};
+
+export { registerCommand, getCommands, getCommandPrefix, formatCommand, parseCommand, parseArguments, getUsage, findCommand, getCommandSuggestion };
@@ -40,14 +40,29 @@ const get = (key, defaultValue) => {
 
     if (value === undefined) return defaultValue;
 
-    // While using env variables always produces a string, config.json can indeed contain a boolean.
-    if (typeof value === 'boolean') return value;
+    // While using env variables always produces a string, config.json can indeed contain booleans, numbers or objects.
+    if (typeof value !== 'string') return value;
 
     if (value.toLowerCase() === 'true') return true;
     if (value.toLowerCase() === 'false') return false;
     return value;
 };
 
+// Structured options (lists, tables) are JSON strings in env variables, but plain JSON values in config.json.
+const getJSON = (key, defaultValue) => {
+    const value = process.env[key] ?? fileConfig[key];
+
+    if (value === undefined) return defaultValue;
+    if (typeof value !== 'string') return value;
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.error(`Error parsing ${key}:`, error.message);
+        return defaultValue;
+    }
+};
+
 export const config = {};
 
 export function reloadConfig() {
@@ -57,15 +72,42 @@ export function reloadConfig() {
     config.MATRIX_HOMESERVER_URL = get('MATRIX_HOMESERVER_URL', 'https://matrix.org');
     config.MATRIX_ACCESS_TOKEN = get('MATRIX_ACCESS_TOKEN');
     config.MATRIX_ROOM_ID = get('MATRIX_ROOM_ID');
+    config.MATRIX_ROUTES = getJSON('MATRIX_ROUTES', []);
+    config.WEBHOOK_SOURCES = getJSON('WEBHOOK_SOURCES', {});
+    config.API_TOKENS = getJSON('API_TOKENS', {});
+    config.STATUS_PAGE_USERNAME = get('STATUS_PAGE_USERNAME');
+    config.STATUS_PAGE_PASSWORD = get('STATUS_PAGE_PASSWORD');
+    config.COMMAND_PREFIX = get('COMMAND_PREFIX', '.');
+    config.PERMISSIONS = getJSON('PERMISSIONS', {});
     config.GRAFANA_URL = get('GRAFANA_URL');
     config.GRAFANA_API_KEY = get('GRAFANA_API_KEY');
     config.SUMMARY_SCHEDULE_CRIT = get('SUMMARY_SCHEDULE_CRIT');
     config.SUMMARY_SCHEDULE_WARN = get('SUMMARY_SCHEDULE_WARN');
     config.SUMMARY_SCHEDULE_SKIP_EMPTY = get('SUMMARY_SCHEDULE_SKIP_EMPTY', false);
+    config.SUMMARY_JOBS = getJSON('SUMMARY_JOBS', []);
+    config.SUMMARY_TIMEZONE = get('SUMMARY_TIMEZONE', 'UTC');
+    config.SUMMARY_CATCH_UP = get('SUMMARY_CATCH_UP', 'latest');
+    config.SEVERITY_LEVELS = getJSON('SEVERITY_LEVELS', []);
+    config.SEVERITY_LABELS = getJSON('SEVERITY_LABELS', ['severity']);
     config.MENTION_CONFIG_PATH = get('MENTION_CONFIG_PATH');
+    config.TEMPLATE_PATH = get('TEMPLATE_PATH');
     config.DB_FILE = get('DB_FILE', 'alerts.db');
     config.KEEP_ALIVE_INTERVAL = get('KEEP_ALIVE_INTERVAL', 60);
     config.ADDITIONAL_LABELS = get('ADDITIONAL_LABELS');
+    config.RESOLVE_REPLY = get('RESOLVE_REPLY', false);
+    config.FOLLOW_UP_MODE = get('FOLLOW_UP_MODE', 'thread');
+    config.SILENCE_DEFAULT_DURATION = get('SILENCE_DEFAULT_DURATION', '24h');
+    config.SILENCE_REACTIONS = getJSON('SILENCE_REACTIONS', { '🔇': '24h', ':mute:': '24h' });
+    config.ACK_REACTIONS = getJSON('ACK_REACTIONS', ['✅', '👀']);
+    config.MAINTENANCE_WINDOWS = getJSON('MAINTENANCE_WINDOWS', []);
+    config.HISTORY_RETENTION = get('HISTORY_RETENTION', '90d');
+    config.REPORT_SCHEDULE = get('REPORT_SCHEDULE');
+    config.REPORT_PERIOD = get('REPORT_PERIOD', '7d');
+    config.FLAPPING_TRANSITIONS = get('FLAPPING_TRANSITIONS', 0);
+    config.FLAPPING_WINDOW = get('FLAPPING_WINDOW', '1h');
+    config.FLAPPING_STABLE_PERIOD = get('FLAPPING_STABLE_PERIOD', '30m');
+    config.GROUP_ALERTS = get('GROUP_ALERTS', false);
+    config.GROUP_BY = getJSON('GROUP_BY', []);
 }
 
 // Initial load
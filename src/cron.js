@@ -0,0 +1,121 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 },
+];
+
+const parseValue = (value, field) => {
+    const index = field.names?.indexOf(value.toLowerCase()) ?? -1;
+    const number = index >= 0 ? index + field.offset : Number(value);
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+        throw new Error(`Invalid ${field.name} "${value}"`);
+    }
+    return number;
+};
+
+// Parses one field (`*`, `5`, `1-5`, `*/15`, `mon-fri`, `1,15`) into the set of allowed values
+const parseField = (text, field) => {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name} "${part}"`);
+
+        let [from, to] = [field.min, field.max];
+        if (range !== '*') {
+            const [start, end] = range.split('-');
+            from = parseValue(start, field);
+            to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field);
+        }
+        if (from > to) throw new Error(`Invalid range in ${field.name} "${part}"`);
+
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+};
+
+// Parses a standard 5-field cron expression: minute hour day-of-month month day-of-week
+const parseCron = (expression) => {
+    const parts = String(expression ?? '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}" (expected 5 fields)`);
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    // 7 is Sunday as well
+    if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+    return {
+        minute, hour, dayOfMonth, month, dayOfWeek,
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*',
+    };
+};
+
+// `wallDay` is a local date in the schedule's timezone, stored in the UTC fields of a Date
+const matchesDay = (cron, wallDay) => {
+    if (!cron.month.has(wallDay.getUTCMonth() + 1)) return false;
+
+    const dayOfMonth = cron.dayOfMonth.has(wallDay.getUTCDate());
+    const dayOfWeek = cron.dayOfWeek.has(wallDay.getUTCDay());
+
+    // Like cron: if both day fields are restricted, either one has to match
+    if (cron.anyDayOfMonth) return dayOfWeek;
+    if (cron.anyDayOfWeek) return dayOfMonth;
+    return dayOfMonth || dayOfWeek;
+};
+
+const descending = (values) => [...values].sort((a, b) => b - a);
+
+// The instant a local wall-clock time in a timezone refers to. The offset is looked up for that time,
+// so schedules keep their local time across DST changes.
+const toInstant = (wallDay, hour, minute, tz) => {
+    const local = `${wallDay.toISOString().slice(0, 10)} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    return dayjs.tz(local, tz || 'UTC').valueOf();
+};
+
+// Latest time at or before `time` (ms) the expression fires, looking back at most `lookback` ms.
+// Walks back day by day over the matching days, then over the matching hours and minutes of each.
+const getPreviousCronTime = (expression, time, tz, lookback) => {
+    const cron = parseCron(expression);
+    const hours = descending(cron.hour);
+    const minutes = descending(cron.minute);
+    const earliest = time - lookback;
+
+    // Local date of `time`; one extra day covers the offset changing within the lookback
+    const wallNow = new Date(time + dayjs(time).tz(tz || 'UTC').utcOffset() * MINUTE);
+    const today = Date.UTC(wallNow.getUTCFullYear(), wallNow.getUTCMonth(), wallNow.getUTCDate());
+    const days = Math.ceil(lookback / DAY) + 1;
+
+    for (let d = 0; d <= days; d++) {
+        const wallDay = new Date(today - d * DAY);
+        if (!matchesDay(cron, wallDay)) continue;
+
+        for (const hour of hours) {
+            // Later wall-clock times of today have not happened yet
+            if (d === 0 && hour > wallNow.getUTCHours()) continue;
+            for (const minute of minutes) {
+                if (d === 0 && hour === wallNow.getUTCHours() && minute > wallNow.getUTCMinutes()) continue;
+                const candidate = toInstant(wallDay, hour, minute, tz);
+                if (candidate > time) continue;
+                return candidate >= earliest ? candidate : undefined;
+            }
+        }
+    }
+    return undefined;
+};
+
+export { parseCron, getPreviousCronTime };
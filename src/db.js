@@ -6,6 +6,33 @@ const db = new DatabaseSync(dbPath);
 
 const statements = {};
 
+// CREATE TABLE IF NOT EXISTS leaves existing tables untouched, so columns added later are migrated here.
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Grouped alert messages map several alerts to one event, so message_map is keyed by event and alert.
+// Databases from before that have the event ID as the only key and are copied over once.
+function migrateMessageMapKey() {
+  const columns = db.prepare('PRAGMA table_info(message_map)').all();
+  if (columns.filter(c => c.pk > 0).length !== 1) return;
+
+  db.exec(`
+    ALTER TABLE message_map RENAME TO message_map_old;
+    CREATE TABLE message_map (
+      event_id TEXT,
+      alert_id TEXT,
+      room_id TEXT,
+      PRIMARY KEY (event_id, alert_id)
+    ) STRICT;
+    INSERT INTO message_map (event_id, alert_id, room_id) SELECT event_id, alert_id, room_id FROM message_map_old;
+    DROP TABLE message_map_old;
+  `);
+}
+
 export function initDB() {
   db.exec(`
     CREATE TABLE IF NOT EXISTS active_alerts (
@@ -16,10 +43,96 @@ export function initDB() {
 
   db.exec(`
     CREATE TABLE IF NOT EXISTS message_map (
+      event_id TEXT,
+      alert_id TEXT,
+      room_id TEXT,
+      PRIMARY KEY (event_id, alert_id)
+    ) STRICT;
+  `);
+  addColumnIfMissing('message_map', 'room_id', 'TEXT');
+  migrateMessageMapKey();
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS silence_map (
       event_id TEXT PRIMARY KEY,
-      alert_id TEXT
+      silence_id TEXT,
+      alert_id TEXT,
+      source TEXT
+    ) STRICT;
+  `);
+  addColumnIfMissing('silence_map', 'source', 'TEXT');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS oncall_overrides (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rotation TEXT,
+      user_id TEXT,
+      starts_at INTEGER,
+      ends_at INTEGER,
+      created_by TEXT
+    ) STRICT;
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS maintenance_windows (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      matchers TEXT,
+      starts_at INTEGER,
+      ends_at INTEGER,
+      created_by TEXT,
+      digest_sent INTEGER DEFAULT 0
+    ) STRICT;
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS alert_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      alert_id TEXT,
+      type TEXT,
+      time INTEGER,
+      actor TEXT,
+      alert TEXT,
+      details TEXT
+    ) STRICT;
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS alert_events_time ON alert_events (time)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS flapping_alerts (
+      alert_id TEXT PRIMARY KEY,
+      started_at INTEGER,
+      last_change INTEGER,
+      alert TEXT
+    ) STRICT;
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS alert_groups (
+      group_key TEXT PRIMARY KEY,
+      room_id TEXT,
+      event_id TEXT,
+      labels TEXT,
+      members TEXT
+    ) STRICT;
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      room_id TEXT,
+      event_type TEXT,
+      txn_id TEXT,
+      content TEXT,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      next_attempt_at INTEGER DEFAULT 0,
+      last_error TEXT,
+      event_id TEXT,
+      created_at INTEGER,
+      updated_at INTEGER
     ) STRICT;
   `);
+  db.exec("CREATE INDEX IF NOT EXISTS outbox_status ON outbox (status, room_id)");
 
   db.exec(`
     CREATE TABLE IF NOT EXISTS schedules (
@@ -28,6 +141,14 @@ export function initDB() {
     ) STRICT;
   `);
 
+  // Messages with commands the bot has handled, so they are not run again after a restart (times in ms)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS processed_events (
+      event_id TEXT PRIMARY KEY,
+      processed_at INTEGER
+    ) STRICT;
+  `);
+
   db.exec(`
     CREATE TABLE IF NOT EXISTS bot_state (
       key TEXT PRIMARY KEY,
@@ -42,15 +163,64 @@ export function initDB() {
   statements.setActiveAlert = db.prepare('INSERT OR REPLACE INTO active_alerts (id, data) VALUES (?, ?)');
   statements.deleteActiveAlert = db.prepare('DELETE FROM active_alerts WHERE id = ?');
 
-  statements.getAlertIdFromEvent = db.prepare('SELECT alert_id FROM message_map WHERE event_id = ?');
+  statements.getAlertIdsFromEvent = db.prepare('SELECT alert_id FROM message_map WHERE event_id = ?');
   statements.hasMessageMap = db.prepare('SELECT 1 FROM message_map WHERE event_id = ?');
-  statements.setMessageMap = db.prepare('INSERT OR REPLACE INTO message_map (event_id, alert_id) VALUES (?, ?)');
+  statements.getMessagesForAlert = db.prepare('SELECT event_id, room_id FROM message_map WHERE alert_id = ?');
+  statements.setMessageMap = db.prepare('INSERT OR REPLACE INTO message_map (event_id, alert_id, room_id) VALUES (?, ?, ?)');
   statements.deleteMessageMapByAlertId = db.prepare('DELETE FROM message_map WHERE alert_id = ?');
   statements.deleteAllMessageMaps = db.prepare('DELETE FROM message_map');
 
+  statements.getSilenceFromEvent = db.prepare('SELECT silence_id, alert_id, source FROM silence_map WHERE event_id = ?');
+  statements.setSilenceMap = db.prepare('INSERT OR REPLACE INTO silence_map (event_id, silence_id, alert_id, source) VALUES (?, ?, ?, ?)');
+  statements.deleteSilenceMapBySilenceId = db.prepare('DELETE FROM silence_map WHERE silence_id = ?');
+
+  statements.getOncallOverride = db.prepare('SELECT user_id, ends_at FROM oncall_overrides WHERE rotation = ? AND starts_at <= ? AND ends_at > ? ORDER BY id DESC LIMIT 1');
+  statements.addOncallOverride = db.prepare('INSERT INTO oncall_overrides (rotation, user_id, starts_at, ends_at, created_by) VALUES (?, ?, ?, ?, ?)');
+  statements.deleteExpiredOncallOverrides = db.prepare('DELETE FROM oncall_overrides WHERE ends_at <= ?');
+
+  statements.addMaintenanceWindow = db.prepare('INSERT INTO maintenance_windows (matchers, starts_at, ends_at, created_by) VALUES (?, ?, ?, ?)');
+  statements.getActiveMaintenanceWindows = db.prepare('SELECT * FROM maintenance_windows WHERE starts_at <= ? AND ends_at > ? ORDER BY id');
+  statements.getEndedMaintenanceWindows = db.prepare('SELECT * FROM maintenance_windows WHERE digest_sent = 0 AND ends_at <= ? ORDER BY id');
+  statements.endMaintenanceWindow = db.prepare('UPDATE maintenance_windows SET ends_at = ? WHERE id = ? AND ends_at > ?');
+  statements.setMaintenanceDigestSent = db.prepare('UPDATE maintenance_windows SET digest_sent = 1 WHERE id = ?');
+
+  statements.addAlertEvent = db.prepare('INSERT INTO alert_events (alert_id, type, time, actor, alert, details) VALUES (?, ?, ?, ?, ?, ?)');
+  statements.getAlertEvents = db.prepare('SELECT * FROM alert_events WHERE time >= ? ORDER BY time, id');
+  statements.deleteAlertEventsBefore = db.prepare('DELETE FROM alert_events WHERE time < ?');
+  statements.countAlertTransitions = db.prepare("SELECT COUNT(*) AS count FROM alert_events WHERE alert_id = ? AND time >= ? AND type IN ('firing', 'resolve')");
+
+  statements.getFlappingAlert = db.prepare('SELECT * FROM flapping_alerts WHERE alert_id = ?');
+  statements.getAllFlappingAlerts = db.prepare('SELECT * FROM flapping_alerts');
+  statements.setFlappingAlert = db.prepare('INSERT OR REPLACE INTO flapping_alerts (alert_id, started_at, last_change, alert) VALUES (?, ?, ?, ?)');
+  statements.deleteFlappingAlert = db.prepare('DELETE FROM flapping_alerts WHERE alert_id = ?');
+
+  statements.getAlertGroup = db.prepare('SELECT * FROM alert_groups WHERE group_key = ?');
+  statements.getAlertGroupByEvent = db.prepare('SELECT * FROM alert_groups WHERE event_id = ?');
+  statements.setAlertGroup = db.prepare('INSERT OR REPLACE INTO alert_groups (group_key, room_id, event_id, labels, members) VALUES (?, ?, ?, ?, ?)');
+  statements.deleteAlertGroup = db.prepare('DELETE FROM alert_groups WHERE group_key = ?');
+
+  statements.addOutboxEntry = db.prepare('INSERT INTO outbox (room_id, event_type, txn_id, content, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)');
+  statements.getOutboxEntry = db.prepare('SELECT * FROM outbox WHERE id = ?');
+  statements.getNextOutboxEntries = db.prepare("SELECT * FROM outbox WHERE id IN (SELECT MIN(id) FROM outbox WHERE status = 'pending' GROUP BY room_id) ORDER BY id");
+  statements.setOutboxSent = db.prepare("UPDATE outbox SET status = 'sent', event_id = ?, updated_at = ? WHERE id = ?");
+  statements.setOutboxRetry = db.prepare('UPDATE outbox SET attempts = ?, next_attempt_at = ?, last_error = ?, updated_at = ? WHERE id = ?');
+  statements.setOutboxFailed = db.prepare("UPDATE outbox SET status = 'failed', last_error = ?, updated_at = ? WHERE id = ?");
+  statements.countOutboxEntries = db.prepare("SELECT COUNT(*) AS count FROM outbox WHERE status = ? AND updated_at >= ?");
+  statements.getLastOutboxError = db.prepare("SELECT last_error, updated_at FROM outbox WHERE last_error IS NOT NULL AND status != 'sent' AND updated_at >= ? ORDER BY updated_at DESC LIMIT 1");
+  statements.getOutboxErrors = db.prepare("SELECT * FROM outbox WHERE last_error IS NOT NULL AND status != 'sent' AND updated_at >= ? ORDER BY updated_at DESC LIMIT ?");
+  statements.deleteOldOutboxEntries = db.prepare("DELETE FROM outbox WHERE status != 'pending' AND updated_at < ?");
+  statements.replaceMessageMapEventId = db.prepare('UPDATE message_map SET event_id = ? WHERE event_id = ?');
+  statements.replaceAlertGroupEventId = db.prepare('UPDATE alert_groups SET event_id = ? WHERE event_id = ?');
+  statements.replaceBotStateEventId = db.prepare("UPDATE bot_state SET value = ? WHERE key = 'status_message_id' AND value = ?");
+  statements.replaceSilenceMapEventId = db.prepare('UPDATE silence_map SET event_id = ? WHERE event_id = ?');
+
   statements.getLastSentSchedule = db.prepare('SELECT last_sent FROM schedules WHERE severity = ?');
   statements.setLastSentSchedule = db.prepare('INSERT OR REPLACE INTO schedules (severity, last_sent) VALUES (?, ?)');
 
+  statements.addProcessedEvent = db.prepare('INSERT OR IGNORE INTO processed_events (event_id, processed_at) VALUES (?, ?)');
+  statements.hasProcessedEvent = db.prepare('SELECT 1 FROM processed_events WHERE event_id = ?');
+  statements.deleteOldProcessedEvents = db.prepare('DELETE FROM processed_events WHERE processed_at < ?');
+
   statements.getBotState = db.prepare('SELECT value FROM bot_state WHERE key = ?');
   statements.setBotState = db.prepare('INSERT OR REPLACE INTO bot_state (key, value) VALUES (?, ?)');
   statements.deleteBotState = db.prepare('DELETE FROM bot_state WHERE key = ?');
@@ -87,9 +257,9 @@ export function deleteActiveAlert(id) {
 }
 
 // Message Map
-export function getAlertIdFromEvent(eventId) {
-  const row = statements.getAlertIdFromEvent.get(eventId);
-  return row ? String(row.alert_id) : undefined;
+// All alerts of a message, more than one for grouped messages
+export function getAlertIdsFromEvent(eventId) {
+  return statements.getAlertIdsFromEvent.all(eventId).map(row => String(row.alert_id));
 }
 
 export function hasMessageMap(eventId) {
@@ -97,8 +267,13 @@ export function hasMessageMap(eventId) {
     return !!row;
 }
 
-export function setMessageMap(eventId, alertId) {
-  statements.setMessageMap.run(eventId, alertId);
+export function getMessagesForAlert(alertId) {
+  const rows = statements.getMessagesForAlert.all(alertId);
+  return rows.map(row => ({ eventId: String(row.event_id), roomId: row.room_id ? String(row.room_id) : undefined }));
+}
+
+export function setMessageMap(eventId, alertId, roomId = null) {
+  statements.setMessageMap.run(eventId, alertId, roomId);
 }
 
 export function deleteMessageMapByAlertId(alertId) {
@@ -109,6 +284,214 @@ export function deleteAllMessageMaps() {
   statements.deleteAllMessageMaps.run();
 }
 
+// Silence Map (Matrix event that requested a silence -> silence)
+export function getSilenceFromEvent(eventId) {
+  const row = statements.getSilenceFromEvent.get(eventId);
+  if (!row) return undefined;
+  return { silenceId: String(row.silence_id), alertId: String(row.alert_id), source: row.source === null ? undefined : String(row.source) };
+}
+
+export function setSilenceMap(eventId, silenceId, alertId, source = null) {
+  statements.setSilenceMap.run(eventId, silenceId, alertId, source);
+}
+
+export function deleteSilenceMapBySilenceId(silenceId) {
+  statements.deleteSilenceMapBySilenceId.run(silenceId);
+}
+
+// On-call overrides set from Matrix (times in ms)
+export function getOncallOverride(rotation, time) {
+  const row = statements.getOncallOverride.get(rotation, time, time);
+  return row ? { userId: String(row.user_id), endsAt: Number(row.ends_at) } : undefined;
+}
+
+export function addOncallOverride(rotation, userId, startsAt, endsAt, createdBy) {
+  statements.deleteExpiredOncallOverrides.run(Date.now());
+  statements.addOncallOverride.run(rotation, userId, startsAt, endsAt, createdBy);
+}
+
+// Maintenance windows started from Matrix (times in ms)
+const toMaintenanceWindow = (row) => ({
+  id: Number(row.id),
+  matchers: JSON.parse(String(row.matchers)),
+  startsAt: Number(row.starts_at),
+  endsAt: Number(row.ends_at),
+  createdBy: row.created_by === null ? undefined : String(row.created_by),
+});
+
+export function addMaintenanceWindow(matchers, startsAt, endsAt, createdBy) {
+  const result = statements.addMaintenanceWindow.run(JSON.stringify(matchers), startsAt, endsAt, createdBy);
+  return Number(result.lastInsertRowid);
+}
+
+export function getActiveMaintenanceWindows(time) {
+  return statements.getActiveMaintenanceWindows.all(time, time).map(toMaintenanceWindow);
+}
+
+// Windows that are over, but whose digest was not posted yet
+export function getEndedMaintenanceWindows(time) {
+  return statements.getEndedMaintenanceWindows.all(time).map(toMaintenanceWindow);
+}
+
+// Returns false if there is no such window or it is already over
+export function endMaintenanceWindow(id, time) {
+  return statements.endMaintenanceWindow.run(time, id, time).changes > 0;
+}
+
+export function setMaintenanceDigestSent(id) {
+  statements.setMaintenanceDigestSent.run(id);
+}
+
+// Alert history (times in ms). `alert` holds the labels and annotations of the alert at the time of the event.
+export function addAlertEvent(alertId, type, time, actor, alert, details = null) {
+  statements.addAlertEvent.run(alertId, type, time, actor ?? null, JSON.stringify(alert), details === null ? null : JSON.stringify(details));
+}
+
+export function getAlertEvents(since) {
+  return statements.getAlertEvents.all(since).map(row => ({
+    id: Number(row.id),
+    alertId: String(row.alert_id),
+    type: String(row.type),
+    time: Number(row.time),
+    actor: row.actor === null ? undefined : String(row.actor),
+    alert: JSON.parse(String(row.alert)),
+    details: row.details === null ? undefined : JSON.parse(String(row.details)),
+  }));
+}
+
+// Returns the number of removed events
+export function deleteAlertEventsBefore(time) {
+  return Number(statements.deleteAlertEventsBefore.run(time).changes);
+}
+
+// Number of firing and resolve events of an alert since `since`
+export function countAlertTransitions(alertId, since) {
+  return Number(statements.countAlertTransitions.get(alertId, since).count);
+}
+
+// Flapping alerts (times in ms). `alert` is the last state received.
+const toFlappingAlert = (row) => ({
+  alertId: String(row.alert_id),
+  startedAt: Number(row.started_at),
+  lastChange: Number(row.last_change),
+  alert: JSON.parse(String(row.alert)),
+});
+
+export function getFlappingAlert(alertId) {
+  const row = statements.getFlappingAlert.get(alertId);
+  return row ? toFlappingAlert(row) : undefined;
+}
+
+export function getAllFlappingAlerts() {
+  return statements.getAllFlappingAlerts.all().map(toFlappingAlert);
+}
+
+export function setFlappingAlert(alertId, startedAt, lastChange, alert) {
+  statements.setFlappingAlert.run(alertId, startedAt, lastChange, JSON.stringify(alert));
+}
+
+export function deleteFlappingAlert(alertId) {
+  statements.deleteFlappingAlert.run(alertId);
+}
+
+// Grouped alert messages. `members` holds the last state of every alert in the group, keyed by fingerprint.
+const toAlertGroup = (row) => ({
+  key: String(row.group_key),
+  roomId: String(row.room_id),
+  eventId: String(row.event_id),
+  labels: JSON.parse(String(row.labels)),
+  members: JSON.parse(String(row.members)),
+});
+
+export function getAlertGroup(key) {
+  const row = statements.getAlertGroup.get(key);
+  return row ? toAlertGroup(row) : undefined;
+}
+
+export function getAlertGroupByEvent(eventId) {
+  const row = statements.getAlertGroupByEvent.get(eventId);
+  return row ? toAlertGroup(row) : undefined;
+}
+
+export function setAlertGroup(key, roomId, eventId, labels, members) {
+  statements.setAlertGroup.run(key, roomId, eventId, JSON.stringify(labels), JSON.stringify(members));
+}
+
+export function deleteAlertGroup(key) {
+  statements.deleteAlertGroup.run(key);
+}
+
+// Outbox of Matrix events to send (times in ms). `content` is the event content, `status` is "pending", "sent" or "failed".
+const toOutboxEntry = (row) => ({
+  id: Number(row.id),
+  roomId: String(row.room_id),
+  eventType: String(row.event_type),
+  txnId: String(row.txn_id),
+  content: JSON.parse(String(row.content)),
+  status: String(row.status),
+  attempts: Number(row.attempts),
+  nextAttemptAt: Number(row.next_attempt_at),
+  lastError: row.last_error === null ? undefined : String(row.last_error),
+  eventId: row.event_id === null ? undefined : String(row.event_id),
+  createdAt: Number(row.created_at),
+  updatedAt: Number(row.updated_at),
+});
+
+export function addOutboxEntry(roomId, eventType, txnId, content, time) {
+  const result = statements.addOutboxEntry.run(roomId, eventType, txnId, JSON.stringify(content), time, time);
+  return Number(result.lastInsertRowid);
+}
+
+export function getOutboxEntry(id) {
+  const row = statements.getOutboxEntry.get(id);
+  return row ? toOutboxEntry(row) : undefined;
+}
+
+// The oldest pending entry of every room
+export function getNextOutboxEntries() {
+  return statements.getNextOutboxEntries.all().map(toOutboxEntry);
+}
+
+export function setOutboxSent(id, eventId, time) {
+  statements.setOutboxSent.run(eventId, time, id);
+}
+
+export function setOutboxRetry(id, attempts, nextAttemptAt, error, time) {
+  statements.setOutboxRetry.run(attempts, nextAttemptAt, error, time, id);
+}
+
+export function setOutboxFailed(id, error, time) {
+  statements.setOutboxFailed.run(error, time, id);
+}
+
+// Pending entries, entries that failed since `since`, and the last error since then
+export function getOutboxStatus(since) {
+  const lastError = statements.getLastOutboxError.get(since);
+  return {
+    pending: Number(statements.countOutboxEntries.get('pending', 0).count),
+    failed: Number(statements.countOutboxEntries.get('failed', since).count),
+    lastError: lastError ? String(lastError.last_error) : undefined,
+    lastErrorAt: lastError ? Number(lastError.updated_at) : undefined,
+  };
+}
+
+// Failed entries and entries waiting for a retry that were updated since `since`, most recent first
+export function getOutboxErrors(since, limit) {
+  return statements.getOutboxErrors.all(since, limit).map(toOutboxEntry);
+}
+
+export function deleteOldOutboxEntries(before) {
+  statements.deleteOldOutboxEntries.run(before);
+}
+
+// Replaces the temporary ID of a queued event with its event ID once it was sent
+export function replaceEventId(oldId, eventId) {
+  statements.replaceMessageMapEventId.run(eventId, oldId);
+  statements.replaceAlertGroupEventId.run(eventId, oldId);
+  statements.replaceBotStateEventId.run(eventId, oldId);
+  statements.replaceSilenceMapEventId.run(eventId, oldId);
+}
+
 // Schedules
 export function getLastSentSchedule(severity) {
   const row = statements.getLastSentSchedule.get(severity);
@@ -119,6 +502,16 @@ export function setLastSentSchedule(severity, time) {
   statements.setLastSentSchedule.run(severity, time);
 }
 
+// Processed commands are kept for a week, longer than any sync catches up on
+export function setEventProcessed(eventId, time) {
+  statements.deleteOldProcessedEvents.run(time - 7 * 24 * 60 * 60 * 1000);
+  statements.addProcessedEvent.run(eventId, time);
+}
+
+export function isEventProcessed(eventId) {
+  return !!statements.hasProcessedEvent.get(eventId);
+}
+
 // Bot State
 export function getBotState(key) {
   const row = statements.getBotState.get(key);
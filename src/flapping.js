@@ -0,0 +1,57 @@
+import { config } from './config.js';
+import { parseDuration } from './util.js';
+import { countAlertTransitions, getFlappingAlert, getAllFlappingAlerts, setFlappingAlert, deleteFlappingAlert } from './db.js';
+
+// An alert is flapping once it changed between firing and resolved FLAPPING_TRANSITIONS times within FLAPPING_WINDOW.
+// It stays flapping until it did not change for FLAPPING_STABLE_PERIOD. FLAPPING_TRANSITIONS 0 disables the detection.
+const getFlappingConfig = () => ({
+    transitions: Number(config.FLAPPING_TRANSITIONS) || 0,
+    window: parseDuration(config.FLAPPING_WINDOW) ?? 60 * 60 * 1000,
+    stablePeriod: parseDuration(config.FLAPPING_STABLE_PERIOD) ?? 30 * 60 * 1000,
+});
+
+const isFlapping = (alertId) => !!getFlappingAlert(alertId);
+
+// Called for every firing or resolved state change of an alert, after it was recorded in the history.
+// Returns "started" if the alert just started flapping, "flapping" if it already was, or undefined.
+const updateFlapping = (alert, time = Date.now()) => {
+    const { transitions, window } = getFlappingConfig();
+    const id = alert.fingerprint;
+    const flapping = getFlappingAlert(id);
+
+    if (flapping) {
+        setFlappingAlert(id, flapping.startedAt, time, alert);
+        return 'flapping';
+    }
+
+    if (transitions > 0 && countAlertTransitions(id, time - window) >= transitions) {
+        console.log(`Alert ${id} (${alert.labels?.alertname}) is flapping`);
+        setFlappingAlert(id, time, time, alert);
+        return 'started';
+    }
+    return undefined;
+};
+
+// The last state received for a flapping alert, also after it resolved (its notice still refers to it)
+const getFlappingAlertState = (alertId) => {
+    const flapping = getFlappingAlert(alertId);
+    return flapping ? { ...flapping.alert, fingerprint: alertId } : undefined;
+};
+
+// Flapping alerts that have been stable for FLAPPING_STABLE_PERIOD. They are no longer considered flapping afterwards.
+// Returns the last state received for each of them.
+const getStabilizedAlerts = (time = Date.now()) => {
+    const { stablePeriod } = getFlappingConfig();
+    const stabilized = [];
+
+    for (const flapping of getAllFlappingAlerts()) {
+        if (time - flapping.lastChange < stablePeriod) continue;
+
+        console.log(`Alert ${flapping.alertId} stopped flapping`);
+        deleteFlappingAlert(flapping.alertId);
+        stabilized.push({ ...flapping.alert, fingerprint: flapping.alertId, flappingSince: flapping.startedAt });
+    }
+    return stabilized;
+};
+
+export { getFlappingConfig, isFlapping, updateFlapping, getStabilizedAlerts, getFlappingAlertState };
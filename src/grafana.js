@@ -1,10 +1,64 @@
 import { config } from "./config.js";
+import { recordSilenceCreated } from "./metrics.js";
 
-const sendGrafanaSilence = async (alert, start, end = new Date(0)) => {
-    
+const GRAFANA_CONFIG_MISSING = 'Grafana config missing';
 
-    if (!config.GRAFANA_URL || !config.GRAFANA_API_KEY) {
-        console.error('Grafana config missing, cannot silence');
+// Requests to an Alertmanager are given up after 10 seconds, so summaries and silence commands do not hang with it
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// Where the silences of an alert source are managed, set with `silences` on a webhook source:
+// - { "type": "grafana" } (default): Grafana's built-in Alertmanager, or with `datasourceUid` an Alertmanager datasource in Grafana
+// - { "type": "alertmanager", "url": "http://alertmanager:9093" }: a standalone Prometheus Alertmanager,
+//   optionally with `auth` "basic" (`username`, `password`) or "bearer" (`token`)
+const getSilenceTarget = (sourceName = 'default') => {
+    const silences = config.WEBHOOK_SOURCES?.[sourceName]?.silences ?? {};
+
+    if (silences.type === 'alertmanager') {
+        if (!silences.url) return { name: sourceName, error: `Alertmanager URL missing for source ${sourceName}` };
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (silences.auth === 'basic') {
+            headers.Authorization = `Basic ${Buffer.from(`${silences.username}:${silences.password}`).toString('base64')}`;
+        } else if (silences.auth === 'bearer') {
+            headers.Authorization = `Bearer ${silences.token}`;
+        }
+        return { name: sourceName, url: `${silences.url.replace(/\/$/, '')}/api/v2`, headers, grafana: false };
+    }
+
+    if (!config.GRAFANA_URL || !config.GRAFANA_API_KEY) return { name: sourceName, error: GRAFANA_CONFIG_MISSING };
+
+    const datasource = encodeURIComponent(silences.datasourceUid || 'grafana');
+    return {
+        name: sourceName,
+        url: `${config.GRAFANA_URL}/api/alertmanager/${datasource}/api/v2`,
+        headers: {
+            'Authorization': `Bearer ${config.GRAFANA_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        grafana: true,
+    };
+};
+
+// One target per distinct silence API, named after the first source that uses it
+const getSilenceTargets = () => {
+    const sourceNames = Object.keys(config.WEBHOOK_SOURCES ?? {});
+    const targets = {};
+
+    for (const name of sourceNames.length > 0 ? sourceNames : ['default']) {
+        const target = getSilenceTarget(name);
+        const key = target.url ?? target.error;
+        if (!targets[key]) targets[key] = target;
+    }
+    return Object.values(targets);
+};
+
+// Returns the ID of the created silence (true if the Alertmanager did not report one), or false if it could not be created.
+// The silence is created where the alert came from (`alert.source`).
+const sendGrafanaSilence = async (alert, start, end = new Date(0), { createdBy = "Grafana2Matrix", comment } = {}) => {
+    const target = getSilenceTarget(alert.source);
+
+    if (target.error) {
+        console.error(`${target.error}, cannot silence`);
         return false;
     }
 
@@ -26,60 +80,132 @@ const sendGrafanaSilence = async (alert, start, end = new Date(0)) => {
         matchers,
         startsAt: start.toISOString(),
         endsAt: end.toISOString(),
-        createdBy: "Grafana2Matrix",
-        comment: `Silenced via Matrix for 24h`
+        createdBy,
+        comment: comment || `Silenced via Matrix until ${end.toISOString()}`
     };
-    
+
 
     try {
-        const response = await fetch(`${config.GRAFANA_URL}/api/alertmanager/grafana/api/v2/silences`, {
+        const response = await fetch(`${target.url}/silences`, {
             method: 'POST',
             body: JSON.stringify(payload),
-            headers: {
-                'Authorization': `Bearer ${config.GRAFANA_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
+            headers: target.headers,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT)
         });
 
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            console.error('Grafana response:', errorData);
+            console.error(`Alertmanager response (${target.name}):`, errorData);
             return false;
         }
-        return true;
+        const data = await response.json().catch(() => ({}));
+        recordSilenceCreated(target.name);
+        return data.silenceID || true;
     } catch (error) {
         console.error('Failed to create silence:', error.message);
+        return false;
     }
-    
+
 }
 
-const fetchGrafanaSilences = async () => {
-    if (!config.GRAFANA_URL || !config.GRAFANA_API_KEY) {
-        console.error('Grafana config missing, cannot fetch silences');
+const fetchSilencesFrom = async (target) => {
+    // A standalone Alertmanager only filters by label matchers, so expired silences are filtered out below
+    const query = target.grafana ? '?filter=state%3Dactive' : '';
+    const response = await fetch(`${target.url}/silences${query}`, {
+        method: 'GET',
+        headers: target.headers,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error(`Alertmanager response (${target.name}):`, errorData);
         return [];
     }
 
-    try {
-        const response = await fetch(`${config.GRAFANA_URL}/api/alertmanager/grafana/api/v2/silences?filter=state%3Dactive`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${config.GRAFANA_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
-        });
+    const data = await response.json();
+    return data
+        .filter(silence => (silence.status?.state ?? 'active') === 'active')
+        .map(silence => ({ ...silence, source: target.name }));
+};
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            console.error('Grafana response:', errorData);
-            return [];
+// Active silences of all alert sources. Every silence carries the `source` it was fetched from.
+const fetchGrafanaSilences = async () => {
+    const silences = [];
+
+    for (const target of getSilenceTargets()) {
+        if (target.error) {
+            console.error(`${target.error}, cannot fetch silences`);
+            continue;
         }
 
-        const data = await response.json();
-        return data; // Returns array of silences
-    } catch (error) {
-        console.error('Failed to fetch silences:', error.message);
-        return [];
+        try {
+            silences.push(...await fetchSilencesFrom(target));
+        } catch (error) {
+            console.error(`Failed to fetch silences (${target.name}):`, error.message);
+        }
+    }
+    return silences;
+}
+
+const expireSilenceAt = async (target, silenceId) => {
+    const response = await fetch(`${target.url}/silence/${encodeURIComponent(silenceId)}`, {
+        method: 'DELETE',
+        headers: target.headers,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error(`Alertmanager response (${target.name}):`, errorData);
+        return false;
+    }
+    return true;
+};
+
+// Expires a silence at the given source. If the source is not known, every configured Alertmanager is tried.
+const expireGrafanaSilence = async (silenceId, source = undefined) => {
+    const targets = source ? [getSilenceTarget(source)] : getSilenceTargets();
+
+    for (const target of targets) {
+        if (target.error) {
+            console.error(`${target.error}, cannot expire silence`);
+            continue;
+        }
+
+        try {
+            if (await expireSilenceAt(target, silenceId)) return true;
+        } catch (error) {
+            console.error('Failed to expire silence:', error.message);
+        }
     }
+    return false;
 }
 
-export { sendGrafanaSilence, fetchGrafanaSilences };
\ No newline at end of file
+// Checks that every Alertmanager silences are managed in can be reached with the configured credentials.
+// Without any Grafana config, silencing is not used and nothing is checked.
+const checkSilenceTargets = async () => {
+    const results = [];
+
+    for (const target of getSilenceTargets()) {
+        if (target.error === GRAFANA_CONFIG_MISSING) continue;
+        if (target.error) {
+            results.push({ name: target.name, ok: false, error: target.error });
+            continue;
+        }
+
+        try {
+            const response = await fetch(`${target.url}/status`, {
+                method: 'GET',
+                headers: target.headers,
+                signal: AbortSignal.timeout(5000)
+            });
+            results.push({ name: target.name, ok: response.ok, ...(!response.ok && { error: `HTTP error! status: ${response.status}` }) });
+        } catch (error) {
+            results.push({ name: target.name, ok: false, error: error.message });
+        }
+    }
+    return results;
+};
+
+export { sendGrafanaSilence, checkSilenceTargets, fetchGrafanaSilences, expireGrafanaSilence };
@@ -0,0 +1,31 @@
+import { config } from './config.js';
+
+// Labels an alert is grouped by: the GROUP_BY labels, or the `groupLabels` of the webhook payload (Grafana and Alertmanager send them)
+const getGroupLabels = (alert, payloadGroupLabels = {}) => {
+    if (!Array.isArray(config.GROUP_BY) || config.GROUP_BY.length === 0) return payloadGroupLabels ?? {};
+
+    const labels = {};
+    for (const name of config.GROUP_BY) {
+        if (alert.labels?.[name] !== undefined) labels[name] = alert.labels[name];
+    }
+    return labels;
+};
+
+// One group message per room, alert source and group label values
+const getGroupKey = (roomId, source, labels) => {
+    const values = Object.keys(labels).sort().map(name => [name, labels[name]]);
+    return JSON.stringify([roomId, source ?? null, values]);
+};
+
+// Labels shared by all alerts with the same value, used to silence a whole group at once
+const getCommonLabels = (alerts) => {
+    const [first, ...rest] = alerts;
+    const labels = {};
+
+    for (const [name, value] of Object.entries(first?.labels ?? {})) {
+        if (rest.every(alert => alert.labels?.[name] === value)) labels[name] = value;
+    }
+    return labels;
+};
+
+export { getGroupLabels, getGroupKey, getCommonLabels };
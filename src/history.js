@@ -0,0 +1,71 @@
+import { config } from './config.js';
+import { matchesMatchers, getAlertRooms, parseDuration } from './util.js';
+import { addAlertEvent, getAlertEvents, deleteAlertEventsBefore, hasActiveAlert } from './db.js';
+
+// Records an event ("firing", "resolve", "silence", "ack" or "mention") in the alert history.
+// History is best effort, a failure never stops the notification itself.
+const recordAlertEvent = (alert, type, { actor, time = Date.now(), details = null } = {}) => {
+    try {
+        const snapshot = {
+            labels: alert.labels ?? {},
+            annotations: alert.annotations ?? {},
+            startsAt: alert.startsAt,
+            source: alert.source,
+        };
+        addAlertEvent(alert.fingerprint, type, time, actor, snapshot, details);
+    } catch (error) {
+        console.error(`Failed to record ${type} event for alert ${alert.fingerprint}:`, error.message);
+    }
+};
+
+// Past occurrences of alerts since `since` (ms), newest first. An occurrence is one firing period of an alert
+// (same fingerprint and start time) with everything that happened to it:
+// { alert, startsAt, endedAt, endedBy: 'resolve' | 'silence', silencedBy, ackedBy, mentioned, firing }
+// Only alerts matching `matchers` and, if given, routed to `roomId` are returned.
+const getAlertHistory = (matchers, since, roomId = undefined) => {
+    const occurrences = [];
+    const current = new Map();
+
+    for (const event of getAlertEvents(since)) {
+        const key = `${event.alertId}|${event.alert.startsAt ?? ''}`;
+        let occurrence = current.get(key);
+
+        // A new firing event after the end of an occurrence starts the next one
+        if (!occurrence || (event.type === 'firing' && occurrence.endedAt)) {
+            const alert = { ...event.alert, fingerprint: event.alertId };
+            if (!matchesMatchers(alert, matchers) || (roomId && !getAlertRooms(alert).includes(roomId))) continue;
+
+            const startsAt = Date.parse(event.alert.startsAt);
+            occurrence = { alert, startsAt: Number.isNaN(startsAt) || occurrence ? event.time : startsAt, mentioned: [] };
+            occurrences.push(occurrence);
+            current.set(key, occurrence);
+        }
+
+        if (event.type === 'resolve' || event.type === 'silence') {
+            occurrence.endedAt = event.time;
+            occurrence.endedBy = event.type;
+            if (event.type === 'silence') occurrence.silencedBy = event.actor;
+        } else if (event.type === 'ack') {
+            occurrence.ackedBy = event.actor;
+        } else if (event.type === 'mention') {
+            occurrence.mentioned = [...new Set([...occurrence.mentioned, ...(event.details?.users ?? [])])];
+        }
+    }
+
+    return occurrences
+        .map(occurrence => ({ ...occurrence, firing: !occurrence.endedAt && hasActiveAlert(occurrence.alert.fingerprint) }))
+        .sort((a, b) => b.startsAt - a.startsAt);
+};
+
+// Removes events older than HISTORY_RETENTION. Anything that is not a duration (e.g. "forever") keeps all events.
+const pruneAlertHistory = (time = Date.now()) => {
+    const retention = parseDuration(config.HISTORY_RETENTION);
+    if (!retention) return;
+
+    const removed = deleteAlertEventsBefore(time - retention);
+    if (removed > 0) {
+        console.log(`Pruned ${removed} alert history events older than ${config.HISTORY_RETENTION}`);
+    }
+};
+
+export { recordAlertEvent, getAlertHistory, pruneAlertHistory };
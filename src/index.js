@@ -1,7 +1,27 @@
 import express from 'express';
 import { MatrixServer } from './matrix.js';
-import { createMatrixMessage, createSummaryMessage, createSilencesMessage } from './messages.js';
-import { checkMentionMessages, checkSchedule, getSilencesFilterFunction, getSeverityMatchFunction, getAlertValue } from './util.js';
+import { escapeMarkdown } from './markdown.js';
+import { createMatrixMessage, createGroupMessage, getImmediateMentions, describeAlert, createResolvedReplyMessage, createSummaryMessage, createSilencesMessage, createOnCallMessage, createMaintenanceMessage, createMaintenanceDigestMessage, createHistoryMessage, createReportMessage, createFlappingMessage, createFlappingEndedMessage, createHelpMessage, createCommandHelpMessage } from './messages.js';
+import { 
+    checkMentionMessages, 
+    checkSchedule, 
+    getSummaryJobs,
+    sortSilences,
+
+    getAlertRooms, 
+    getSilenceRooms, 
+    silenceMatches,
+    getAllRooms,
+    getMentionRules,
+    loadMentionConfig,
+    parseMatchers,
+    matchesMatchers,
+    formatMatchers,
+    parseDuration,
+    getSilenceDurationForReaction,
+    isAckReaction,
+    getRelatedEventId,
+    stripReplyFallback } from './util.js';
 import { 
     initDB, 
     getAllActiveAlerts, 
@@ -9,194 +29,899 @@ import {
     hasActiveAlert, 
     setActiveAlert, 
     deleteActiveAlert, 
-    getAlertIdFromEvent, 
+    getAlertIdsFromEvent, 
     hasMessageMap, 
+    getMessagesForAlert,
     setMessageMap,
     deleteMessageMapByAlertId,
     deleteAllMessageMaps,
+    getSilenceFromEvent,
+    setSilenceMap,
+    deleteSilenceMapBySilenceId,
+    addOncallOverride,
+    addMaintenanceWindow,
+    endMaintenanceWindow,
+    setMaintenanceDigestSent,
+    getAlertGroup,
+    getAlertGroupByEvent,
+    setAlertGroup,
+    deleteAlertGroup,
     getBotState,
     setBotState,
     deleteBotState} from './db.js';
 import { config, reloadConfig } from './config.js';
-import { sendGrafanaSilence, fetchGrafanaSilences } from './grafana.js';
+import { sendGrafanaSilence, checkSilenceTargets, fetchGrafanaSilences, expireGrafanaSilence } from './grafana.js';
+import { authenticateWebhook, checkBasicAuth, getWebhookSources, isWebhookAuthEnabled, getApiTokens } from './auth.js';
+import { createStatusPage, CONTENT_SECURITY_POLICY } from './statuspage.js';
+import { registerCommand, getCommands, getCommandPrefix, formatCommand, parseCommand, parseArguments, getUsage, findCommand, getCommandSuggestion } from './commands.js';
+import { isAllowed } from './permissions.js';
+import { createApiRouter } from './api.js';
+import { loadTemplates } from './templates.js';
+import { getOnCallOverview } from './oncall.js';
+import { getAlertSeverity, getSeverityMatchFunction, getSilencesFilterFunction } from './severity.js';
+import { getMaintenanceWindows, getMaintenanceWindow, getEndedWindows } from './maintenance.js';
+import { recordAlertEvent, getAlertHistory, pruneAlertHistory } from './history.js';
+import { getNoiseReport } from './report.js';
+import { getFlappingConfig, isFlapping, updateFlapping, getStabilizedAlerts, getFlappingAlertState } from './flapping.js';
+import { getGroupLabels, getGroupKey, getCommonLabels } from './groups.js';
+import { recordWebhook, recordMentions, registerGauge, renderMetrics } from './metrics.js';
 
 const app = express();
 
 initDB();
+loadTemplates();
+loadMentionConfig();
 
 if (!config.MATRIX_ACCESS_TOKEN || !config.MATRIX_ROOM_ID || !config.MATRIX_HOMESERVER_URL) {
     throw new Error("MATRIX_ACCESS_TOKEN or MATRIX_ROOM_ID or MATRIX_HOMESERVER_URL is not defined in environment variables or config file");
 }
 
 
-app.use(express.json());
+// Status of a webhook payload for the metrics: "firing" or "resolved" (also for legacy alerts), anything else is "unknown"
+// to keep the label values bounded. Without a top-level status, the payload is firing if any of its alerts is.
+const getWebhookStatus = (body) => {
+    const alerts = Array.isArray(body?.alerts) ? body.alerts : [];
+    const fallback = alerts.length === 0 ? '' : (alerts.some(a => a?.status === 'firing') ? 'firing' : 'resolved');
+    const status = String(body?.status ?? body?.state ?? fallback).toLowerCase();
+    if (status === 'firing' || status === 'alerting') return 'firing';
+    if (status === 'resolved' || status === 'ok') return 'resolved';
+    return 'unknown';
+};
+
+// Counted before the body is parsed, so malformed requests show up as well (with status "unknown")
+app.use('/webhook', (req, res, next) => {
+    res.on('finish', () => recordWebhook(getWebhookStatus(req.body), res.statusCode));
+    next();
+});
+
+// Keep the raw body around, HMAC signatures are computed over the exact bytes received
+app.use(express.json({
+    verify: (req, _res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 app.use((req, _res, next) => {
     console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
     next();
 });
 
+if (!isWebhookAuthEnabled()) {
+    console.warn("WEBHOOK_SOURCES is not configured, /webhook accepts requests without authentication");
+} else if (getWebhookSources().length === 0) {
+    console.error("WEBHOOK_SOURCES has no valid source, /webhook rejects all requests");
+}
+
+const requireWebhookAuth = (req, res, next) => {
+    const source = authenticateWebhook(req);
+    if (!source) {
+        console.warn(`Rejected unauthenticated webhook from ${req.ip}`);
+        return res.status(401).send('Unauthorized');
+    }
+    req.webhookSource = source;
+    next();
+};
+
 const matrix = new MatrixServer(config.MATRIX_HOMESERVER_URL, config.MATRIX_ROOM_ID, config.MATRIX_ACCESS_TOKEN);
+matrix.setRooms(getAllRooms());
+
+// The Matrix sync long-polls for 30 seconds, so a sync older than this means the loop is stuck or failing
+const READY_SYNC_MAX_AGE = 2 * 60 * 1000;
+
+registerGauge('grafana2matrix_active_alerts', 'Alerts currently firing, by severity', () => {
+    const counts = {};
+    for (const alert of getAllActiveAlerts()) {
+        const severity = getAlertSeverity(alert);
+        counts[severity] = (counts[severity] ?? 0) + 1;
+    }
+    return Object.entries(counts).map(([severity, count]) => [{ severity }, count]);
+});
+
+registerGauge('grafana2matrix_outbox_pending', 'Matrix events waiting to be sent', () => [[{}, matrix.outbox.getStatus().pending]]);
+
+app.get('/healthz', (_req, res) => {
+    res.status(200).send('OK');
+});
+
+// Ready if the Matrix sync succeeded recently, the database can be written to and the Alertmanagers silences are
+// created in are reachable
+app.get('/readyz', async (_req, res) => {
+    const checks = {};
+
+    checks.matrix = matrix.lastSyncAt && Date.now() - matrix.lastSyncAt < READY_SYNC_MAX_AGE
+        ? { ok: true }
+        : { ok: false, error: matrix.lastSyncAt ? `Last successful sync at ${new Date(matrix.lastSyncAt).toISOString()}` : 'No successful sync yet' };
+
+    try {
+        setBotState('last_readiness_check', new Date().toISOString());
+        checks.database = { ok: true };
+    } catch (error) {
+        checks.database = { ok: false, error: error.message };
+    }
+
+    const silenceTargets = await checkSilenceTargets();
+    checks.silences = { ok: silenceTargets.every(target => target.ok), targets: silenceTargets };
+
+    const ready = Object.values(checks).every(check => check.ok);
+    res.status(ready ? 200 : 503).json({ ready, checks });
+});
+
+app.get('/metrics', (_req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Basic auth for the status page if STATUS_PAGE_USERNAME and STATUS_PAGE_PASSWORD are set
+const requireStatusPageAuth = (req, res, next) => {
+    if (!config.STATUS_PAGE_USERNAME || !config.STATUS_PAGE_PASSWORD) return next();
 
-const sendSummary = async (severity, enforceSending = false) => {
+    if (!checkBasicAuth(req, config.STATUS_PAGE_USERNAME, config.STATUS_PAGE_PASSWORD)) {
+        console.warn(`Rejected unauthenticated status page request from ${req.ip}`);
+        return res.status(401).set('WWW-Authenticate', 'Basic realm="Grafana2Matrix"').send('Unauthorized');
+    }
+    next();
+};
+
+app.get('/status', requireStatusPageAuth, async (_req, res) => {
+    res.set('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+    res.type('html').send(createStatusPage({
+        alerts: getAllActiveAlerts(),
+        silences: await fetchGrafanaSilences(),
+        lastWebhook: getBotState('last_webhook_received'),
+        lastMatrix: getBotState('last_matrix_received'),
+        outbox: matrix.outbox.getStatus(),
+        failures: matrix.outbox.getRecentErrors(),
+    }));
+});
+
+// Sends a summary to every routed room, or only to `roomId` if given (e.g. for manual requests).
+// Summary jobs can select alerts by `severity` (optional) and `matchers`, and send all of them to their `room` regardless of routing.
+const sendSummary = async (severity, enforceSending = false, roomId = undefined, job = {}) => {
+    const matchers = job.matchers ?? [];
+    const title = job.title ?? severity ?? job.name;
+    const skipEmpty = job.skipEmpty ?? config.SUMMARY_SCHEDULE_SKIP_EMPTY;
     const alertsForSeverity = [];
     
-    const matcherFunc = getSeverityMatchFunction(severity);
+    const matcherFunc = severity ? getSeverityMatchFunction(severity) : () => true;
 
     for (const alert of getAllActiveAlerts()) {
-        const sev = getAlertValue(alert, "severity", "UNKNOWN").toUpperCase();        
-
-        if (matcherFunc(sev)) {
+        if (matcherFunc(getAlertSeverity(alert)) && matchesMatchers(alert, matchers)) {
             alertsForSeverity.push(alert);
         }
     }
 
-    if (config.SUMMARY_SCHEDULE_SKIP_EMPTY && alertsForSeverity.length === 0 && !enforceSending) {
-        console.log(`Skipping summary for severity: ${severity}`);
-        return;
-    } else {
-        console.log(`Sending summary for severity: ${severity}`);
-        const silencesWithSeverity = (await fetchGrafanaSilences()).filter(getSilencesFilterFunction(severity));
-        const summaryMessage = createSummaryMessage(severity, alertsForSeverity, silencesWithSeverity);
-        await matrix.sendMatrixNotification(summaryMessage);
+    const rooms = job.room ? [job.room] : roomId ? [roomId] : getAllRooms();
+    let silencesWithSeverity;
+
+    for (const room of rooms) {
+        const alertsForRoom = job.room ? alertsForSeverity : alertsForSeverity.filter(alert => getAlertRooms(alert).includes(room));
+
+        if (skipEmpty && alertsForRoom.length === 0 && !enforceSending) {
+            console.log(`Skipping summary for ${title} in room ${room}`);
+            continue;
+        }
+
+        console.log(`Sending summary for ${title} to room ${room}`);
+        if (!silencesWithSeverity) {
+            const severityFilter = severity ? getSilencesFilterFunction(severity) : () => true;
+            silencesWithSeverity = (await fetchGrafanaSilences()).filter(silence => severityFilter(silence) && silenceMatches(silence, matchers));
+        }
+        const silencesForRoom = job.room ? silencesWithSeverity : silencesWithSeverity.filter(silence => getSilenceRooms(silence).includes(room));
+        const summaryMessage = createSummaryMessage(title, alertsForRoom, silencesForRoom);
+        await matrix.sendMatrixNotification(summaryMessage, room);
+    }
+};
+
+// Sends the noise report of the last `period` to every routed room (only covering the alerts routed there), or only to `roomId`.
+// Report jobs can select alerts with `matchers` and send the report about all of them to their `room`.
+const sendReport = async (period, enforceSending = false, roomId = undefined, job = {}) => {
+    const periodMs = parseDuration(period) ?? parseDuration('7d');
+    const since = Date.now() - periodMs;
+    const skipEmpty = job.skipEmpty ?? config.SUMMARY_SCHEDULE_SKIP_EMPTY;
+    const rooms = job.room ? [job.room] : roomId ? [roomId] : getAllRooms();
+
+    for (const room of rooms) {
+        const report = getNoiseReport(job.matchers ?? [], since, job.room ? undefined : room);
+
+        if (skipEmpty && report.occurrenceCount === 0 && !enforceSending) {
+            console.log(`Skipping noise report in room ${room}`);
+            continue;
+        }
+
+        console.log(`Sending noise report for the last ${period} to room ${room}`);
+        await matrix.sendMatrixNotification(createReportMessage(report), room);
     }
 };
 
-async function createGrafanaSilence(alertId, matrixEventId) {
-    const alert = getActiveAlert(alertId);
+// `requestEventId` is the Matrix event that asked for the silence; redacting it expires the silence again.
+// Several alerts (the members of a grouped message) are silenced together by the labels they have in common.
+// Returns the result of `sendGrafanaSilence`, or undefined if no silence was requested.
+async function createGrafanaSilence(alertIds, matrixEventId, roomId, { duration = config.SILENCE_DEFAULT_DURATION, comment, sender, requestEventId } = {}) {
+    // The flapping notice of a resolved alert is mapped to it as well, its last state is kept with the flapping state
+    const alerts = alertIds.map(id => getActiveAlert(id) ?? getFlappingAlertState(id)).filter(Boolean);
 
-    if (!alert) {
-        console.error('Alert not found for silence:', alertId);
+    if (alerts.length === 0) {
+        console.error('Alert not found for silence:', alertIds.join(', '));
         return;
     }
 
-    const silenceResult = sendGrafanaSilence(alert, new Date());
+    const alert = alerts.length === 1
+        ? alerts[0]
+        : { fingerprint: alerts[0].fingerprint, labels: getCommonLabels(alerts), source: alerts[0].source };
+
+    // Without common labels the silence would match every alert
+    if (Object.keys(alert.labels).length === 0) {
+        await matrix.sendMatrixNotification("These alerts have no labels in common and cannot be silenced together. Silence them one by one in Grafana.", roomId, followUp(matrixEventId));
+        return;
+    }
+
+    const durationMs = parseDuration(duration);
+    if (!durationMs) {
+        console.error(`Invalid silence duration: ${duration}`);
+        await matrix.sendMatrixNotification(`Invalid silence duration: ${escapeMarkdown(duration)} (e.g. 30m, 8h, 7d)`, roomId, followUp(matrixEventId));
+        return;
+    }
+
+    const start = new Date();
+    const end = new Date(start.getTime() + durationMs);
+    const silenceResult = await sendGrafanaSilence(alert, start, end, {
+        createdBy: sender || "Grafana2Matrix",
+        comment: comment || `Silenced via Matrix for ${duration}`
+    });
     let reaction = '☑️';
-    const host = getAlertValue(alert, "host") ?? getAlertValue(alert, "instance") ?? "Unknown Host";
-    const severity = getAlertValue(alert, "severity", "UNKNOWN");
+
+    const description = alerts.length === 1
+        ? describeAlert(alert)
+        : `${alerts.length} alerts matching ${escapeMarkdown(formatMatchers(parseMatchers(alert.labels)))}`;
 
     if (silenceResult) {
-        console.log(`Alert ${alertId} silenced successfully.`);
+        console.log(`Alerts ${alerts.map(a => a.fingerprint).join(', ')} silenced successfully until ${end.toISOString()}.`);
+        if (requestEventId && typeof silenceResult === 'string') {
+            setSilenceMap(requestEventId, silenceResult, alert.fingerprint, alert.source);
+        }
         
-        await matrix.sendMatrixNotification(`🔇 Alert silenced for 24h: ${severity} ${host} ${alert.labels.alertname}`);
-        deleteActiveAlert(alertId);
-        deleteMessageMapByAlertId(alertId);
+        const expiry = end.toLocaleString("en-GB");
+        await matrix.sendMatrixNotification(`🔇 Alert silenced until ${expiry} (UTC)${sender ? ` by ${escapeMarkdown(sender)}` : ''}: ${description}`, roomId, followUp(matrixEventId));
+
+        for (const silenced of alerts) {
+            recordAlertEvent(silenced, 'silence', { actor: sender, details: { duration, until: end.getTime() } });
+            deleteActiveAlert(silenced.fingerprint);
+            deleteMessageMapByAlertId(silenced.fingerprint);
+        }
+
+        // A silenced group message shows its members as silenced
+        const group = matrixEventId && getAlertGroupByEvent(matrixEventId);
+        if (group) {
+            await notifyGroups([{ ...group, room: group.roomId, alerts: alerts.map(a => ({ ...a, status: 'silenced' })) }]);
+        }
 
     } else {
-        await matrix.sendMatrixNotification(`Alert could not be silenced: ${severity} ${host} ${alert.labels.alertname}`);
+        await matrix.sendMatrixNotification(`Alert could not be silenced: ${description}`, roomId, followUp(matrixEventId));
         reaction = '⛔️';
     }
 
     if (matrixEventId) {
-        matrix.sendReaction(matrixEventId, reaction);
+        matrix.sendReaction(matrixEventId, reaction, roomId);
     }
+    return silenceResult;
+}
+
+// Silences an alert on behalf of the API. It is confirmed in the thread of the alert message, like a silence reaction.
+const silenceAlertFromApi = (alertId, options) => {
+    const message = getMessagesForAlert(alertId)[0];
+    const roomId = message?.roomId ?? getAlertRooms(getActiveAlert(alertId))[0];
+    return createGrafanaSilence([alertId], message?.eventId, roomId, options);
+};
+
+if (getApiTokens().length === 0) {
+    console.log("API_TOKENS is not configured, /api is disabled");
+}
+app.use('/api', createApiRouter({ sendSummary, silenceAlert: silenceAlertFromApi }));
+
+// Active silences routed to a room, numbered in the order shown by .silences
+const getRoomSilences = async (roomId) => {
+    const silences = (await fetchGrafanaSilences()).filter(silence => getSilenceRooms(silence).includes(roomId));
+    return sortSilences(silences).map((silence, i) => ({ ...silence, index: i + 1 }));
+};
+
+// `source` is the alert source the silence belongs to; if unknown, all of them are tried
+async function expireSilence(silenceId, matrixEventId, roomId, sender, source = undefined) {
+    const expired = await expireGrafanaSilence(silenceId, source);
+
+    if (expired) {
+        console.log(`Silence ${silenceId} expired by ${sender}.`);
+        deleteSilenceMapBySilenceId(silenceId);
+        await matrix.sendMatrixNotification(`🔊 Silence expired${sender ? ` by ${escapeMarkdown(sender)}` : ''}: ${escapeMarkdown(silenceId)}`, roomId, followUp(matrixEventId));
+    } else {
+        await matrix.sendMatrixNotification(`Silence could not be expired: ${escapeMarkdown(silenceId)}`, roomId, followUp(matrixEventId));
+    }
+
+    if (matrixEventId) {
+        matrix.sendReaction(matrixEventId, expired ? '✅' : '⛔️', roomId);
+    }
+}
+
+const followUp = (eventId) => matrix.followUpRelation(eventId, config.FOLLOW_UP_MODE);
+
+// Edits the original firing message(s) of a resolved alert. Rooms without an editable message get a new message,
+// unless `editOnly` is set (the alert is also shown in a group message). With `quiet` (during maintenance) only
+// existing messages are edited and no reply is posted. Returns the rooms in which a message of the alert itself was edited.
+async function notifyResolved(alert, { quiet = false, editOnly = false } = {}) {
+    const id = alert.fingerprint;
+    const matrixMessage = createMatrixMessage(alert);
+    const editedRooms = new Set();
+    const ownMessageRooms = new Set();
+
+    for (const { eventId, roomId = config.MATRIX_ROOM_ID } of getMessagesForAlert(id)) {
+        // Grouped messages are only updated with their group
+        if (getAlertGroupByEvent(eventId)) {
+            editedRooms.add(roomId);
+            continue;
+        }
+
+        await matrix.editMessage(eventId, matrixMessage, roomId);
+        editedRooms.add(roomId);
+        ownMessageRooms.add(roomId);
+        if (config.RESOLVE_REPLY && !quiet) {
+            await matrix.sendMatrixNotification(createResolvedReplyMessage(alert), roomId, followUp(eventId));
+        }
+    }
+    deleteMessageMapByAlertId(id);
+    if (quiet || editOnly) return ownMessageRooms;
+
+    for (const room of getAlertRooms(alert)) {
+        if (!editedRooms.has(room)) {
+            await matrix.sendMatrixNotification(matrixMessage, room);
+        }
+    }
+    return ownMessageRooms;
+}
+
+// Acknowledges all alerts of a message (more than one for grouped messages) that are not acknowledged yet
+async function acknowledgeAlert(alertIds, matrixEventId, roomId, sender) {
+    const acknowledged = [];
+
+    for (const alertId of alertIds) {
+        const alert = getActiveAlert(alertId);
+
+        if (!alert) {
+            console.error('Alert not found for acknowledgement:', alertId);
+            continue;
+        }
+
+        if (alert.ack) {
+            console.log(`Alert ${alertId} was already acknowledged by ${alert.ack.by}`);
+            continue;
+        }
+
+        alert.ack = { by: sender, at: Date.now() };
+        setActiveAlert(alertId, alert);
+        recordAlertEvent(alert, 'ack', { actor: sender });
+        console.log(`Alert ${alertId} acknowledged by ${sender}`);
+        acknowledged.push(alert);
+    }
+
+    if (acknowledged.length === 0) return;
+
+    const description = acknowledged.length === 1 ? describeAlert(acknowledged[0]) : `${acknowledged.length} alerts`;
+    await matrix.sendMatrixNotification(`👀 Alert acknowledged by ${escapeMarkdown(sender)}, no further mentions: ${description}`, roomId, followUp(matrixEventId));
+}
+
+const recordImmediateMentions = (alert) => {
+    const users = getImmediateMentions(alert);
+    if (users.length > 0) {
+        recordAlertEvent(alert, 'mention', { details: { users } });
+        recordMentions('immediate', users.length);
+    }
+};
+
+// Posts or edits the grouped message of every group in `groups` ({ key, room, labels, alerts }). Each member is mapped
+// to the group message, so reactions and replies to it act on all of its alerts.
+async function notifyGroups(groups) {
+    for (const { key, room, labels, alerts } of groups) {
+        const group = getAlertGroup(key);
+        const members = { ...group?.members };
+        // Members that are gone without a resolved notification (e.g. silenced) are shown as resolved
+        for (const [id, member] of Object.entries(members)) {
+            if (member.status === 'firing' && !hasActiveAlert(id)) members[id] = { ...member, status: 'resolved' };
+        }
+        for (const alert of alerts) members[alert.fingerprint] = alert;
+
+        const message = createGroupMessage(labels, Object.values(members));
+        let eventId = group?.eventId;
+        if (eventId) {
+            await matrix.editMessage(eventId, message, room);
+        } else {
+            eventId = await matrix.sendMatrixNotification(message, room);
+        }
+        if (!eventId) continue;
+
+        const firing = Object.values(members).filter(a => a.status === 'firing');
+        for (const alert of alerts) {
+            if (alert.status === 'firing') {
+                setMessageMap(eventId, alert.fingerprint, room);
+            } else {
+                deleteMessageMapByAlertId(alert.fingerprint);
+            }
+        }
+
+        // Once every member is resolved, the next firing alert starts a new message
+        if (firing.length === 0) {
+            deleteAlertGroup(key);
+        } else {
+            setAlertGroup(key, room, eventId, labels, members);
+        }
+    }
+}
+
+// .oncall override <user> <duration> [rotation]: the rotation can be left out if there is only one
+async function setOnCallOverride(userId, duration, rotationName, roomId, requestEventId, sender) {
+    const { rotations } = getMentionRules();
+    const names = Object.keys(rotations);
+    const rotation = rotationName ?? (names.length === 1 ? names[0] : undefined);
+
+    if (!rotation || !rotations[rotation]) {
+        const available = names.length > 0 ? `Rotations: ${names.join(', ')}` : 'No rotations are configured.';
+        await matrix.sendReaction(requestEventId, '❌', roomId);
+        await matrix.sendMatrixNotification(`${rotation ? `Unknown rotation ${escapeMarkdown(rotation)}` : 'Missing rotation'}. ${escapeMarkdown(available)}`, roomId);
+        return;
+    }
+
+    const endsAt = Date.now() + parseDuration(duration);
+    addOncallOverride(rotation, userId, Date.now(), endsAt, sender);
+    console.log(`On-call override for ${rotation} by ${sender}: ${userId} until ${new Date(endsAt).toISOString()}`);
+
+    await matrix.sendMatrixNotification(`📟 ${escapeMarkdown(userId)} is on call for ${escapeMarkdown(rotation)} until ${new Date(endsAt).toLocaleString("en-GB")} (UTC)`, roomId);
+}
+
+async function startMaintenance(matchers, duration, roomId, sender) {
+    const endsAt = Date.now() + parseDuration(duration);
+    const id = addMaintenanceWindow(matchers, Date.now(), endsAt, sender);
+    console.log(`Maintenance #${id} started by ${sender} until ${new Date(endsAt).toISOString()}: ${formatMatchers(matchers)}`);
+
+    await matrix.sendMatrixNotification(`🚧 Maintenance #${id} started by ${escapeMarkdown(sender)} until ${new Date(endsAt).toLocaleString("en-GB")} (UTC) for ${escapeMarkdown(formatMatchers(matchers))}. Alerts are recorded, but not posted; a digest follows when it ends.`, roomId);
+}
+
+// Posts a digest of the alerts that are still firing for every maintenance window that ended since the last check
+async function sendMaintenanceDigests() {
+    const now = Date.now();
+    const since = Number(getBotState('maintenance_checked')) || now - 60 * 1000;
+    setBotState('maintenance_checked', String(now));
+
+    for (const window of getEndedWindows(since, now)) {
+        const alerts = getAllActiveAlerts().filter(a => a.status === 'firing' && matchesMatchers(a, window.matchers));
+        console.log(`Maintenance ${window.name} ended, ${alerts.length} alerts still firing`);
+
+        const alertsByRoom = {};
+        for (const alert of alerts) {
+            for (const room of getAlertRooms(alert)) {
+                if (!alertsByRoom[room]) alertsByRoom[room] = [];
+                alertsByRoom[room].push(alert);
+            }
+        }
+
+        for (const [room, roomAlerts] of Object.entries(alertsByRoom)) {
+            await matrix.sendMatrixNotification(createMaintenanceDigestMessage(window, roomAlerts), room);
+        }
+
+        if (window.id) setMaintenanceDigestSent(window.id);
+    }
+}
+
+async function sendHistory(matchers, period, roomId) {
+    const since = Date.now() - parseDuration(period);
+    await matrix.sendMatrixNotification(createHistoryMessage(getAlertHistory(matchers, since, roomId), since, matchers), roomId);
+}
+
+// Posts the flapping notice in place of the alert's messages. Reactions and replies to it act on the alert.
+async function notifyFlapping(alert) {
+    const message = createFlappingMessage(alert, getFlappingConfig());
+
+    for (const room of getAlertRooms(alert)) {
+        const eventId = await matrix.sendMatrixNotification(message, room);
+        if (eventId) setMessageMap(eventId, alert.fingerprint, room);
+    }
+}
+
+// Alerts that stopped flapping get a regular message if they are still firing, or a note below the flapping notice if not
+async function sendStabilizedAlerts() {
+    for (const alert of getStabilizedAlerts()) {
+        const id = alert.fingerprint;
+        const active = getActiveAlert(id);
+        const notices = getMessagesForAlert(id);
+        deleteMessageMapByAlertId(id);
+
+        if (getMaintenanceWindow(active ?? alert)?.mode === 'suppress') continue;
+
+        if (active) {
+            const matrixMessage = createMatrixMessage(active);
+            for (const room of getAlertRooms(active)) {
+                const sentEventId = await matrix.sendMatrixNotification(matrixMessage, room);
+                if (sentEventId) setMessageMap(sentEventId, id, room);
+            }
+            continue;
+        }
+
+        for (const { eventId, roomId = config.MATRIX_ROOM_ID } of notices) {
+            await matrix.sendMatrixNotification(createFlappingEndedMessage(alert), roomId, followUp(eventId));
+        }
+    }
+}
+
+// Checks that `sender` may perform an action in the room. Denied attempts are logged and get a 🚫 reaction (⛔️ marks failed actions) on `eventId`.
+async function authorize(permission, sender, roomId, eventId, action) {
+    if (await isAllowed(sender, permission, () => matrix.getPowerLevel(roomId, sender))) return true;
+
+    console.warn(`Denied ${action} for ${sender} in ${roomId} (permission ${permission})`);
+    // An alert message can be reacted to by several denied users, the homeserver rejects the same reaction twice
+    if (eventId && !await matrix.hasUserReacted(eventId, '🚫', roomId)) await matrix.sendReaction(eventId, '🚫', roomId);
+    return false;
 }
 
 matrix.on("reaction", async (reaction) => {
-    const {key, targetEventId} = reaction;
+    const {key, targetEventId, roomId, sender} = reaction;
+
+    if (isAckReaction(key) && hasMessageMap(targetEventId)) {
+        if (!await authorize('ack', sender, roomId, targetEventId, `${key} reaction (acknowledge)`)) return;
+        const alertIds = getAlertIdsFromEvent(targetEventId);
+        console.log(`Received ${key} reaction from ${sender} for event ${targetEventId}, alerts ${alertIds.join(', ')} (acknowledge)`);
+        await acknowledgeAlert(alertIds, targetEventId, roomId, sender);
+    }
 
-    if (key === '🔇' || key === ':mute:') {
+    const duration = getSilenceDurationForReaction(key);
+    if (duration) {
         if (hasMessageMap(targetEventId)) {
-            const alertId = getAlertIdFromEvent(targetEventId);
-            console.log(`Received mute reaction for event ${targetEventId}, alert ${alertId}`);
-            await createGrafanaSilence(alertId, targetEventId);
+            if (!await authorize('silence', sender, roomId, targetEventId, `${key} reaction (silence)`)) return;
+            const alertIds = getAlertIdsFromEvent(targetEventId);
+            console.log(`Received ${key} reaction from ${sender} for event ${targetEventId}, alerts ${alertIds.join(', ')} (silence for ${duration})`);
+            await createGrafanaSilence(alertIds, targetEventId, roomId, { duration, sender, requestEventId: reaction.eventId });
         }
     }
 })
 
+// Removing a silence reaction (or deleting a .silence command) expires the silence it created
+matrix.on("redaction", async (redaction) => {
+    const {redactedEventId, roomId, sender} = redaction;
+
+    const silence = getSilenceFromEvent(redactedEventId);
+    if (silence) {
+        if (!await authorize('unsilence', sender, roomId, null, `redaction of ${redactedEventId} (unsilence)`)) {
+            await matrix.sendMatrixNotification(`🚫 ${escapeMarkdown(sender)} is not allowed to expire silences, silence ${escapeMarkdown(silence.silenceId)} stays active`, roomId);
+            return;
+        }
+        console.log(`Received redaction of ${redactedEventId} from ${sender}, expiring silence ${silence.silenceId} for alert ${silence.alertId}`);
+        await expireSilence(silence.silenceId, null, roomId, sender, silence.source);
+    }
+})
+
 matrix.on("loop", () => {
     setBotState('last_matrix_received', new Date().toISOString());
 })
 
-matrix.on("userMessage", async (event) => {
-    const body = event.content?.body;
-    if (!body) {
-        return;
-    } 
-
-    if (body.startsWith(".summary")) {
-        await matrix.sendReaction(event.event_id, '☑️');
-        const parts = body.split(/\s+/);
-        if (parts.length > 1) {
-            const severity = parts[1].toUpperCase();
-            console.log(`Received manual summary request for: ${severity}`);
-            await sendSummary(severity, true);
+registerCommand({
+    name: 'help',
+    args: [{ name: 'command', type: 'text', optional: true }],
+    description: 'Lists the commands, or shows the details of one command.',
+    example: 'help silence',
+    run: async ({ command: name }, { roomId }) => {
+        if (!name) {
+            await matrix.sendMatrixNotification(createHelpMessage(getCommands()), roomId);
+            return;
+        }
+
+        const prefix = getCommandPrefix();
+        const input = (name.startsWith(prefix) ? name.slice(prefix.length) : name).toLowerCase();
+        const command = findCommand(input);
+        if (command) {
+            await matrix.sendMatrixNotification(createCommandHelpMessage(command), roomId);
         } else {
-            await matrix.sendMatrixNotification("Usage: .summary <severity> (e.g. CRITICAL, WARNING)");
+            await sendUnknownCommand(input, roomId);
         }
     }
+});
 
-    if (body.startsWith(".silences")) {
-        await matrix.sendReaction(event.event_id, '☑️');
-        let filterFunc = () => true;
-        const parts = body.split(/\s+/);
+registerCommand({
+    name: 'summary',
+    args: [{ name: 'severity', type: 'severity' }],
+    description: 'Posts a summary of the active alerts of a severity.',
+    example: 'summary crit',
+    permission: 'summary',
+    run: async ({ severity }, { roomId }) => {
+        console.log(`Received manual summary request for: ${severity}`);
+        await sendSummary(severity, true, roomId);
+    }
+});
+
+registerCommand({
+    name: 'silences',
+    args: [{ name: 'severity', type: 'severity', optional: true }],
+    description: 'Lists the active silences, optionally only those of a severity.',
+    run: async ({ severity }, { roomId }) => {
+        console.log("Fetching silences...");
+        const filterFunc = severity ? getSilencesFilterFunction(severity) : () => true;
+        const silences = (await getRoomSilences(roomId)).filter(filterFunc);
+        await matrix.sendMatrixNotification(createSilencesMessage(silences), roomId);
+    }
+});
+
+registerCommand({
+    name: 'silence',
+    aliases: ['mute'],
+    args: [{ name: 'duration', type: 'duration' }, { name: 'comment', type: 'text', optional: true }],
+    description: 'Silences the alert for the given duration.',
+    example: 'silence 8h planned maintenance',
+    permission: 'silence',
+    replyToAlert: true,
+    run: async ({ duration, comment }, { event, roomId, sender, targetEventId, alertIds }) => {
+        console.log(`Received silence request from ${sender} for alerts ${alertIds.join(', ')} (${duration})`);
+        await createGrafanaSilence(alertIds, targetEventId, roomId, {
+            duration,
+            comment,
+            sender,
+            requestEventId: event.event_id
+        });
+    }
+});
 
-        if (parts.length > 1) {
-            filterFunc = getSilencesFilterFunction(parts[1]);
+registerCommand({
+    name: 'ack',
+    aliases: ['acknowledge'],
+    description: 'Acknowledges the alert, it is not mentioned again until it resolves and fires again.',
+    permission: 'ack',
+    replyToAlert: true,
+    run: async (_args, { roomId, sender, targetEventId, alertIds }) => {
+        await acknowledgeAlert(alertIds, targetEventId, roomId, sender);
+    }
+});
+
+registerCommand({
+    name: 'unsilence',
+    aliases: ['unmute'],
+    args: [{ name: 'silence', type: 'word', optional: true, label: 'number|ID' }],
+    description: 'Expires a silence, by the number shown by the silence list or its ID. Without an argument, lists the active silences.',
+    example: 'unsilence 2',
+    permission: 'unsilence',
+    run: async ({ silence: target }, { event, roomId, sender }) => {
+        const silences = await getRoomSilences(roomId);
+
+        if (!target) {
+            await matrix.sendMatrixNotification(createSilencesMessage(silences), roomId);
+            return;
         }
 
+        // Small numbers refer to the list shown by .silences, anything else is a silence ID
+        const silence = /^\d+$/.test(target) && Number(target) <= silences.length
+            ? silences[Number(target) - 1]
+            : silences.find(s => s.id === target) ?? { id: target };
+
+        await expireSilence(silence.id, event.event_id, roomId, sender, silence.source);
+    }
+});
+
+registerCommand({
+    name: 'oncall',
+    aliases: ['on-call'],
+    args: [{ name: 'target', type: 'word', optional: true, label: 'rule|rotation|host' }],
+    description: 'Shows who is on call for a mention rule, a rotation or a host. Without an argument, shows all rules and rotations.',
+    example: 'oncall db-03',
+    run: async ({ target }, { roomId }) => {
+        await matrix.sendMatrixNotification(createOnCallMessage(getOnCallOverview(target), target), roomId);
+    }
+});
+
+registerCommand({
+    name: 'oncall override',
+    args: [{ name: 'user', type: 'user', label: '@user:server' }, { name: 'duration', type: 'duration' }, { name: 'rotation', type: 'word', optional: true }],
+    description: 'Puts a user on call for a rotation for the given duration. The rotation can be left out if only one is configured.',
+    example: 'oncall override @alice:example.org 8h',
+    permission: 'oncall',
+    run: async ({ user, duration, rotation }, { event, roomId, sender }) => {
+        await setOnCallOverride(user, duration, rotation, roomId, event.event_id, sender);
+    }
+});
+
+registerCommand({
+    name: 'maintenance',
+    description: 'Lists the active maintenance windows.',
+    run: async (_args, { roomId }) => {
+        await matrix.sendMatrixNotification(createMaintenanceMessage(getMaintenanceWindows()), roomId);
+    }
+});
+
+registerCommand({
+    name: 'maintenance start',
+    args: [{ name: 'matchers', type: 'matchers' }, { name: 'duration', type: 'duration' }],
+    description: 'Starts a maintenance window for the alerts matching the label matchers. Alerts are recorded, but not posted or mentioned until it ends.',
+    example: 'maintenance start team=db,env=prod 2h',
+    permission: 'maintenance',
+    run: async ({ matchers, duration }, { roomId, sender }) => {
+        await startMaintenance(matchers, duration, roomId, sender);
+    }
+});
+
+registerCommand({
+    name: 'maintenance stop',
+    aliases: ['maintenance end'],
+    args: [{ name: 'number', type: 'number' }],
+    description: 'Ends a maintenance window started with the start command early. The digest is posted within a minute.',
+    example: 'maintenance stop 3',
+    permission: 'maintenance',
+    run: async ({ number }, { event, roomId, sender }) => {
+        if (endMaintenanceWindow(number, Date.now())) {
+            console.log(`Maintenance #${number} ended by ${sender}`);
+            await matrix.sendReaction(event.event_id, '✅', roomId);
+        } else {
+            await matrix.sendMatrixNotification(`Maintenance #${number} is not active (only windows started with \`${formatCommand('maintenance start')}\` can be stopped)`, roomId);
+        }
+    }
+});
+
+registerCommand({
+    name: 'history',
+    args: [{ name: 'matchers', type: 'matchers', optional: true }, { name: 'since', type: 'duration', optional: true }],
+    description: 'Lists past occurrences of the alerts routed to the room, newest first (default: the last 7 days).',
+    example: 'history alertname=DiskFull,host=db-03 30d',
+    run: async ({ matchers = [], since = '7d' }, { roomId }) => {
+        await sendHistory(matchers, since, roomId);
+    }
+});
+
+registerCommand({
+    name: 'report',
+    args: [{ name: 'period', type: 'duration', optional: true }],
+    description: 'Posts the noise report for the alerts routed to the room (default period: REPORT_PERIOD).',
+    example: 'report 30d',
+    permission: 'summary',
+    run: async ({ period = config.REPORT_PERIOD }, { roomId }) => {
+        console.log(`Received manual noise report request for the last ${period}`);
+        await sendReport(period, true, roomId);
+    }
+});
+
+registerCommand({
+    name: 'reload-config',
+    aliases: ['reload'],
+    description: 'Reloads the configuration, mention config and templates.',
+    permission: 'reload',
+    run: async (_args, { event, roomId }) => {
+        console.log("Reloading configuration...");
+        reloadConfig();
+        loadMentionConfig();
+
+        // Invalid templates keep the previous ones, the rest of the config is still applied
+        let templateError;
         try {
-            console.log("Fetching silences...");
-            const silences = (await fetchGrafanaSilences()).filter(filterFunc);
-            const message = createSilencesMessage(silences);
-            await matrix.sendMatrixNotification(message);
+            loadTemplates();
         } catch (error) {
-            console.error("Failed to fetch silences:", error);
-            await matrix.sendReaction(event.event_id, '❌');
-            await matrix.sendMatrixNotification(`Failed to fetch silences: ${error.message}`);
+            templateError = error;
         }
+
+        // Update matrix server instance with new config
+        const matrixUpdated = matrix.updateConfig(config.MATRIX_HOMESERVER_URL, config.MATRIX_ROOM_ID, config.MATRIX_ACCESS_TOKEN);
+        matrix.setRooms(getAllRooms());
+
+        if (matrixUpdated) {
+            console.log("Matrix settings changed. Clearing stored Matrix message IDs.");
+            deleteAllMessageMaps();
+            deleteBotState('status_message_id');
+        }
+
+        if (templateError) throw new Error(`Configuration reloaded, but the previous templates were kept: ${templateError.message}`);
+        await matrix.sendReaction(event.event_id, '✅', roomId);
+        console.log("Configuration reloaded.");
     }
+});
 
-    if (body === ".reload-config") {
-        await matrix.sendReaction(event.event_id, '☑️');
-        try {
-            console.log("Reloading configuration...");
-            reloadConfig();
-            
-            // Update matrix server instance with new config
-            const matrixUpdated = matrix.updateConfig(config.MATRIX_HOMESERVER_URL, config.MATRIX_ROOM_ID, config.MATRIX_ACCESS_TOKEN);
-
-            if (matrixUpdated) {
-                console.log("Matrix settings changed. Clearing stored Matrix message IDs.");
-                deleteAllMessageMaps();
-                deleteBotState('status_message_id');
-            }
+async function sendUnknownCommand(name, roomId) {
+    const suggestion = getCommandSuggestion(name);
+    const hint = suggestion ? `, did you mean \`${formatCommand(suggestion)}\`?` : '.';
+    await matrix.sendMatrixNotification(`Unknown command \`${formatCommand(name)}\`${hint} Send \`${formatCommand('help')}\` for a list of commands.`, roomId);
+}
 
-            await matrix.sendReaction(event.event_id, '✅');
-            console.log("Configuration reloaded.");
-        } catch (error) {
-            console.error("Failed to reload config:", error);
-            await matrix.sendReaction(event.event_id, '❌');
-            await matrix.sendMatrixNotification(`Failed to reload config: ${error.message}`);
+// Runs the command in a message: checks the permission, parses the arguments and finds the alerts of the message
+// replied to. Commands are confirmed with ☑️, which also keeps them from running again after a restart.
+matrix.on("userMessage", async (event) => {
+    const body = stripReplyFallback(event.content?.body);
+    const roomId = event.room_id;
+    const parsed = body && parseCommand(body);
+    if (!parsed) {
+        return;
+    }
+
+    const { command } = parsed;
+    if (!command) {
+        await matrix.markProcessed(event.event_id, roomId);
+        await sendUnknownCommand(parsed.name, roomId);
+        return;
+    }
+
+    // Denied commands are marked as processed as well, so they are not run again after a restart
+    await matrix.markProcessed(event.event_id, roomId);
+
+    if (!await authorize(command.permission, event.sender, roomId, event.event_id, formatCommand(command.name))) {
+        return;
+    }
+
+    let args;
+    try {
+        args = parseArguments(command, parsed.words);
+    } catch (error) {
+        await matrix.sendMatrixNotification(`${escapeMarkdown(error.message)}. Usage: \`${getUsage(command)}\``, roomId);
+        return;
+    }
+
+    const context = { event, roomId, sender: event.sender };
+    if (command.replyToAlert) {
+        const targetEventId = getRelatedEventId(event);
+        if (!targetEventId || !hasMessageMap(targetEventId)) {
+            await matrix.sendMatrixNotification(`Usage: reply to an alert message with \`${getUsage(command)}\``, roomId);
+            return;
         }
+        context.targetEventId = targetEventId;
+        context.alertIds = getAlertIdsFromEvent(targetEventId);
+    }
+
+    try {
+        await command.run(args, context);
+    } catch (error) {
+        console.error(`Failed to run ${formatCommand(command.name)}:`, error);
+        await matrix.sendReaction(event.event_id, '❌', roomId);
+        await matrix.sendMatrixNotification(`Failed to run \`${formatCommand(command.name)}\`: ${escapeMarkdown(error.message)}`, roomId);
     }
 });
 
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', requireWebhookAuth, async (req, res) => {
     try {
         const data = req.body;
         
-        console.log('Received webhook:', JSON.stringify(data, null, 2));
+        console.log(`Received webhook from source ${req.webhookSource}:`, JSON.stringify(data, null, 2));
 
         setBotState('last_webhook_received', new Date().toISOString());
 
-        // Handle Grafana Unified Alerting (Prometheus style)
+        // Handle Grafana Unified Alerting and Prometheus Alertmanager (same payload format)
         if (data.alerts && Array.isArray(data.alerts)) {
             const alertsToNotify = [];
+            const flapping = new Map();
 
             // Filter and Deduplicate
             for (const alert of data.alerts) {
                 const id = alert.fingerprint;
+                // Silences are created where the alert came from
+                alert.source = req.webhookSource;
+                alert.labels = alert.labels || {};
+                alert.annotations = alert.annotations || {};
                 const alertStatus = alert.status; // 'firing' or 'resolved'
 
                 if (alertStatus === 'firing') {
                     if (!hasActiveAlert(id)) {
                         console.log(`New firing alert: ${id} (${alert.labels?.alertname})`);
+                        recordAlertEvent(alert, 'firing');
+                        flapping.set(id, updateFlapping(alert));
                         alertsToNotify.push(alert);
                         alert.mentionsSent = { primary: false, secondary: false };
                     } else {
                         const existing = getActiveAlert(id);
                         alert.mentionsSent = existing.mentionsSent || { primary: false, secondary: false };    
+                        alert.ack = existing.ack;
                     }
 
                     // Always update/add the alert to map to keep latest state
@@ -204,12 +929,11 @@ app.post('/webhook', async (req, res) => {
                 } else if (alertStatus === 'resolved') {
                     if (hasActiveAlert(id)) {
                         console.log(`Alert resolved: ${id} (${alert.labels?.alertname})`);
+                        recordAlertEvent(alert, 'resolve');
+                        flapping.set(id, updateFlapping(alert));
                         deleteActiveAlert(id);
-                        deleteMessageMapByAlertId(id);
-                        alertsToNotify.push(alert);
-                    } else {
-                        alertsToNotify.push(alert);
                     }
+                    alertsToNotify.push(alert);
                 }
             }
 
@@ -219,33 +943,88 @@ app.post('/webhook', async (req, res) => {
                 const messages = checkMentionMessages(data.alerts, "webhook");
 
                 for (const msg of messages) {
-                    await matrix.sendMatrixNotification(msg);
+                    await matrix.sendMatrixNotification(msg.message, msg.room, followUp(msg.rootEventId));
                 }
 
                 return res.status(200).send('Processed');
             }
 
-            // Send separate message for each alert
+            // Send separate message for each alert, or one message per group with GROUP_ALERTS
+            const groups = new Map();
+
             for (const a of alertsToNotify) {
-               
+                // Alerts are recorded as usual during maintenance, but not posted in "suppress" mode
+                const maintenance = getMaintenanceWindow(a);
+                const suppressed = maintenance?.mode === 'suppress';
+                if (suppressed) {
+                    console.log(`Not posting ${a.status} alert ${a.fingerprint} during maintenance ${maintenance.name}`);
+                }
+
+                // Flapping alerts get one notice, their firing and resolved messages are held back until they are stable
+                const flappingState = flapping.get(a.fingerprint) ?? (isFlapping(a.fingerprint) ? 'flapping' : undefined);
+                if (flappingState === 'started') {
+                    if (a.status === 'resolved') await notifyResolved(a, { quiet: true });
+                    if (!suppressed) await notifyFlapping(a);
+                    continue;
+                }
+                if (flappingState) {
+                    console.log(`Holding back ${a.status} message of flapping alert ${a.fingerprint}`);
+                    continue;
+                }
+
+                if (config.GROUP_ALERTS) {
+                    // During maintenance, resolved alerts only update existing group messages
+                    if (suppressed && a.status === 'firing') continue;
+                    // Messages of the alert posted before it was grouped (e.g. before GROUP_ALERTS was enabled) are resolved as usual,
+                    // and it only starts a new group message in rooms without such a message
+                    const resolvedRooms = a.status === 'resolved'
+                        ? await notifyResolved(a, { quiet: suppressed, editOnly: true })
+                        : new Set();
+
+                    const labels = getGroupLabels(a, data.groupLabels);
+                    for (const room of getAlertRooms(a)) {
+                        const key = getGroupKey(room, a.source, labels);
+                        if ((suppressed || resolvedRooms.has(room)) && !getAlertGroup(key)) continue;
+                        if (!groups.has(key)) groups.set(key, { key, room, labels, alerts: [] });
+                        groups.get(key).alerts.push(a);
+                    }
+                    if (a.status === 'firing') recordImmediateMentions(a);
+                    continue;
+                }
+
+                if (a.status === 'resolved') {
+                    await notifyResolved(a, { quiet: suppressed });
+                    continue;
+                }
+                if (suppressed) continue;
+
                 const matrixMessage = createMatrixMessage(a);
+                recordImmediateMentions(a);
 
-                const sentEventId = await matrix.sendMatrixNotification(matrixMessage);
-                if (sentEventId && a.status === 'firing') {
-                     const id = a.fingerprint;
-                     setMessageMap(sentEventId, id);
+                for (const room of getAlertRooms(a)) {
+                    // Messages are sent in the background; Grafana only needs to retry if they could not be queued
+                    const sentEventId = await matrix.sendMatrixNotification(matrixMessage, room);
+                    if (!sentEventId) {
+                        throw new Error(`Failed to queue message for alert ${a.fingerprint} to ${room}`);
+                    }
+                    setMessageMap(sentEventId, a.fingerprint, room);
                 }
             }
 
-            // Prune zombie alerts (alerts that are in DB but not in the current webhook request, but ONLY for alertnames present in the webhook)
+            await notifyGroups([...groups.values()]);
+
+            // Prune zombie alerts (alerts that are in DB but not in the current webhook request, but ONLY for alertnames present in the webhook
+            // and from the same source)
             const receivedAlertIds = new Set(data.alerts.map(a => a.fingerprint));
             const receivedAlertNames = new Set(data.alerts.map(a => a.labels?.alertname).filter(Boolean));
             const activeAlerts = getAllActiveAlerts();
 
             for (const activeAlert of activeAlerts) {
                 const activeAlertName = activeAlert.labels?.alertname;
-                if (activeAlertName && receivedAlertNames.has(activeAlertName) && !receivedAlertIds.has(activeAlert.fingerprint)) {
+                const sameSource = activeAlert.source === undefined || activeAlert.source === req.webhookSource;
+                if (sameSource && activeAlertName && receivedAlertNames.has(activeAlertName) && !receivedAlertIds.has(activeAlert.fingerprint)) {
                     console.log(`Pruning zombie alert: ${activeAlert.fingerprint} (${activeAlertName})`);
+                    recordAlertEvent(activeAlert, 'resolve', { details: { pruned: true } });
                     deleteActiveAlert(activeAlert.fingerprint);
                     deleteMessageMapByAlertId(activeAlert.fingerprint);
                 }
@@ -262,14 +1041,16 @@ app.post('/webhook', async (req, res) => {
             const icon = isAlerting ? '🚨' : '✅';
             const statusDisplay = isAlerting ? 'Firing' : 'Resolved';
 
-            const matrixMessage = `## ${icon} ${statusDisplay}: ${title}\n\n` +
-                                  `${messageBody}\n\n` +
+            const matrixMessage = `## ${icon} ${statusDisplay}: ${escapeMarkdown(title)}\n\n` +
+                                  `${escapeMarkdown(messageBody)}\n\n` +
                                   (ruleUrl ? `[View in Grafana](${ruleUrl})` : '');
 
-            await matrix.sendMatrixNotification(matrixMessage);
+            if (!await matrix.sendMatrixNotification(matrixMessage)) {
+                throw new Error('Failed to queue message');
+            }
         }
         
-        console.log('Notification(s) sent to Matrix');
+        console.log('Notification(s) queued for Matrix');
         res.status(200).send('Notification sent');
 
     } catch (error) {
@@ -297,7 +1078,15 @@ const checkSummariesAndMentions = async () => {
         } else {
             lastMatrix = 'Never';
         }
-        const statusMessage = `Last Matrix Check: ${lastMatrix} (UTC) Last Webhook received: ${lastWebhook} (UTC)`;
+        let statusMessage = `Last Matrix Check: ${lastMatrix} (UTC) Last Webhook received: ${lastWebhook} (UTC)`;
+
+        const outbox = matrix.outbox.getStatus();
+        if (outbox.pending > 0 || outbox.failed > 0) {
+            statusMessage += ` Outbox: ${outbox.pending} pending, ${outbox.failed} failed in the last 24h`;
+            if (outbox.lastError) {
+                statusMessage += ` (last error at ${new Date(outbox.lastErrorAt).toLocaleString("en-GB")} (UTC): ${escapeMarkdown(outbox.lastError)})`;
+            }
+        }
         const storedStatusId = getBotState('status_message_id');
         
         if (storedStatusId) {
@@ -318,18 +1107,41 @@ const checkSummariesAndMentions = async () => {
     const messages = checkMentionMessages(getAllActiveAlerts(), "loop");
 
      for (const msg of messages) {
-        await matrix.sendMatrixNotification(msg);
+        await matrix.sendMatrixNotification(msg.message, msg.room, followUp(msg.rootEventId));
     }
 
-    const sendCrit = await checkSchedule('CRIT', config.SUMMARY_SCHEDULE_CRIT || "6:00,14:30");
-    const sendWarn = await checkSchedule('WARN', config.SUMMARY_SCHEDULE_WARN || "6:00,14:30");
+    await sendMaintenanceDigests();
+    await sendStabilizedAlerts();
+    pruneAlertHistory();
+
+    for (const job of getSummaryJobs()) {
+        if (!await checkSchedule(job.key, job.schedule, job)) continue;
 
-    if (sendCrit) sendSummary("CRIT");
-    if (sendWarn) sendSummary("WARN");
+        try {
+            if (job.type === 'report') {
+                await sendReport(job.period ?? config.REPORT_PERIOD, false, undefined, job);
+            } else {
+                await sendSummary(job.severity, false, undefined, job);
+            }
+        } catch (error) {
+            console.error(`Error sending summary job ${job.name}:`, error.message);
+        }
+    }
 };
 
-// Check every minute
-setInterval(checkSummariesAndMentions, 60 * 1000);
+// Check every minute. A check that takes longer than that skips the next one instead of running alongside it.
+let checkRunning = false;
+setInterval(async () => {
+    if (checkRunning) return;
+    checkRunning = true;
+    try {
+        await checkSummariesAndMentions();
+    } catch (error) {
+        console.error('Error checking summaries and mentions:', error.message);
+    } finally {
+        checkRunning = false;
+    }
+}, 60 * 1000);
 
 app.listen(config.PORT, () => {
     console.log(`Server is running on port ${config.PORT}`);
@@ -0,0 +1,111 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { config } from './config.js';
+import { parseMatchers, matchesMatchers, parseDuration } from './util.js';
+import { getPreviousCronTime } from './cron.js';
+import { getActiveMaintenanceWindows, getEndedMaintenanceWindows } from './db.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Windows from MAINTENANCE_WINDOWS. Recurring windows have a cron `schedule` and a `duration`,
+// one-off windows a `start` and `end`; both are local times in `timezone` (default UTC).
+const getConfiguredWindows = () => {
+    const windows = Array.isArray(config.MAINTENANCE_WINDOWS) ? config.MAINTENANCE_WINDOWS : [];
+    const parsed = [];
+
+    for (const [index, window] of windows.entries()) {
+        const name = window?.name ?? `window ${index + 1}`;
+        try {
+            const duration = window.schedule ? parseDuration(window.duration) : undefined;
+            if (window.schedule && !duration) throw new Error(`Invalid duration "${window.duration}"`);
+
+            parsed.push({
+                ...window,
+                name,
+                duration,
+                matchers: parseMatchers(window.matchers),
+                mode: window.mode === 'quiet' ? 'quiet' : 'suppress',
+            });
+        } catch (e) {
+            console.error(`Skipping maintenance window ${name}:`, e.message);
+        }
+    }
+    return parsed;
+};
+
+// Start and end (ms) of the occurrence of a configured window that started last at or before `time`
+const getOccurrence = (window, time, lookback) => {
+    if (window.schedule) {
+        const startsAt = getPreviousCronTime(window.schedule, time, window.timezone, lookback);
+        return startsAt === undefined ? undefined : { startsAt, endsAt: startsAt + window.duration };
+    }
+
+    const tz = window.timezone || 'UTC';
+    return { startsAt: dayjs.tz(window.start, tz).valueOf(), endsAt: dayjs.tz(window.end, tz).valueOf() };
+};
+
+// Windows from Matrix are always in "suppress" mode. Their matchers are stored as JSON and compiled again here.
+const getStoredWindows = (windows) => {
+    const parsed = [];
+
+    for (const window of windows) {
+        try {
+            parsed.push({ ...window, name: `#${window.id}`, matchers: parseMatchers(window.matchers), mode: 'suppress' });
+        } catch (e) {
+            console.error(`Skipping maintenance window #${window.id}:`, e.message);
+        }
+    }
+    return parsed;
+};
+
+// All windows active at `time`, as { name, matchers, mode, startsAt, endsAt }
+const getMaintenanceWindows = (time = Date.now()) => {
+    const windows = [];
+
+    for (const window of getConfiguredWindows()) {
+        try {
+            const occurrence = getOccurrence(window, time, window.duration);
+            if (occurrence && occurrence.startsAt <= time && time < occurrence.endsAt) {
+                windows.push({ ...window, ...occurrence });
+            }
+        } catch (e) {
+            console.error(`Error in maintenance window ${window.name}:`, e.message);
+        }
+    }
+
+    return windows.concat(getStoredWindows(getActiveMaintenanceWindows(time)));
+};
+
+// The strictest active window an alert falls into ("suppress" before "quiet"), or undefined
+const getMaintenanceWindow = (alert, time = Date.now()) => {
+    const windows = getMaintenanceWindows(time).filter(window => matchesMatchers(alert, window.matchers));
+    return windows.find(window => window.mode === 'suppress') ?? windows[0];
+};
+
+// Windows that ended after `since` and up to `time`. Windows from Matrix are returned until their digest is marked as sent.
+// Only the last occurrence of a recurring window is returned, and at most one day is looked back.
+const getEndedWindows = (since, time = Date.now()) => {
+    const windows = [];
+
+    for (const window of getConfiguredWindows()) {
+        try {
+            const lookback = Math.min(time - since, DAY);
+            const occurrence = window.schedule
+                ? getOccurrence(window, time - window.duration, lookback)
+                : getOccurrence(window, time);
+            if (occurrence && occurrence.endsAt > since && occurrence.endsAt <= time) {
+                windows.push({ ...window, ...occurrence });
+            }
+        } catch (e) {
+            console.error(`Error in maintenance window ${window.name}:`, e.message);
+        }
+    }
+
+    return windows.concat(getStoredWindows(getEndedMaintenanceWindows(time)));
+};
+
+export { getMaintenanceWindows, getMaintenanceWindow, getEndedWindows };
@@ -0,0 +1,257 @@
+// Small Markdown renderer for Matrix messages. Produces `formatted_body` (HTML) and a plain text `body`.
+// All text is HTML-escaped; the only raw HTML passed through is <font color="...">, which the built-in messages use.
+// Untrusted values (labels, annotations, user input) must be passed through escapeMarkdown before being inserted.
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Escapes everything the renderer would interpret, so the value is shown literally
+const escapeMarkdown = (value) => String(value ?? '')
+    .replace(/[\\`*[\]<>|]/g, '\\$&')
+    .replace(/^(\s*)([#+-])/gm, '$1\\$2')
+    .replace(/^(\s*\d+)\./gm, '$1\\.');
+
+const SAFE_URL = /^(https?:|mailto:|matrix:)/i;
+const SAFE_COLOR = /^(#[0-9a-f]{3}|#[0-9a-f]{6}|[a-z]+)$/i;
+
+// Inline rules, tried in order at every position. `render` may return null to treat the match as plain text.
+const INLINE_RULES = [
+    {
+        // Backslash escapes of ASCII punctuation
+        pattern: /^\\([!-/:-@[-`{-~])/,
+        render: (m) => ({ html: escapeHtml(m[1]), plain: m[1] }),
+    },
+    {
+        pattern: /^(`+)([\s\S]*?[^`])\1(?!`)/,
+        render: (m) => ({ html: `<code>${escapeHtml(m[2].trim())}</code>`, plain: m[2].trim() }),
+    },
+    {
+        pattern: /^<font color="([^"]*)">([\s\S]*?)<\/font>/i,
+        render: (m) => {
+            if (!SAFE_COLOR.test(m[1])) return null;
+            const inner = renderInline(m[2]);
+            return { html: `<font color="${m[1]}" data-mx-color="${m[1]}">${inner.html}</font>`, plain: inner.plain };
+        },
+    },
+    {
+        pattern: /^\*\*((?:\\.|[^\\])+?)\*\*/,
+        render: (m) => {
+            const inner = renderInline(m[1]);
+            return { html: `<strong>${inner.html}</strong>`, plain: inner.plain };
+        },
+    },
+    {
+        pattern: /^\*((?:\\.|[^\\*\s])(?:(?:\\.|[^\\*])*?(?:\\.|[^\\*\s]))?)\*/,
+        render: (m) => {
+            const inner = renderInline(m[1]);
+            return { html: `<em>${inner.html}</em>`, plain: inner.plain };
+        },
+    },
+    {
+        pattern: /^\[((?:\\.|[^\\\]])*)\]\(([^)\s]+)\)/,
+        render: (m) => {
+            if (!SAFE_URL.test(m[2])) return null;
+            const label = renderInline(m[1]);
+            return {
+                html: `<a href="${escapeHtml(m[2])}">${label.html}</a>`,
+                plain: label.plain === m[2] ? m[2] : `${label.plain} (${m[2]})`,
+            };
+        },
+    },
+];
+
+// Renders inline markup: \escapes, `code`, <font color> tags, **bold**, *italic* and [links](url).
+const renderInline = (text) => {
+    let html = '';
+    let plain = '';
+    let i = 0;
+
+    while (i < text.length) {
+        const rest = text.slice(i);
+        let length = 0;
+
+        for (const rule of INLINE_RULES) {
+            const match = rule.pattern.exec(rest);
+            const rendered = match && rule.render(match);
+            if (rendered) {
+                html += rendered.html;
+                plain += rendered.plain;
+                length = match[0].length;
+                break;
+            }
+        }
+
+        if (length === 0) {
+            html += escapeHtml(rest[0]);
+            plain += rest[0];
+            length = 1;
+        }
+        i += length;
+    }
+
+    return { html, plain };
+};
+
+// Splits a table row into cells, respecting escaped pipes
+const splitTableRow = (line) => {
+    const cells = [];
+    let current = '';
+    const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+
+    for (let i = 0; i < trimmed.length; i++) {
+        if (trimmed[i] === '\\' && i + 1 < trimmed.length) {
+            current += trimmed[i] + trimmed[i + 1];
+            i++;
+        } else if (trimmed[i] === '|') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += trimmed[i];
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+};
+
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)\.)\s+(.*)$/;
+const FENCE = /^\s*```/;
+const QUOTE = /^\s*>\s?(.*)$/;
+
+// Groups lines into blocks. Every block remembers if a blank line came before it, to keep the spacing in plain text.
+const parseBlocks = (text) => {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let blankBefore = false;
+    let i = 0;
+
+    const push = (block) => {
+        blocks.push({ ...block, blankBefore });
+        blankBefore = false;
+    };
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const heading = HEADING.exec(line);
+
+        if (line.trim() === '') {
+            blankBefore = blocks.length > 0;
+            i++;
+        } else if (FENCE.test(line)) {
+            const code = [];
+            i++;
+            while (i < lines.length && !FENCE.test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            push({ type: 'code', lines: code });
+        } else if (heading) {
+            push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            i++;
+        } else if (line.trim().startsWith('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1])) {
+            const header = splitTableRow(line);
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim().startsWith('|')) {
+                rows.push(splitTableRow(lines[i]));
+                i++;
+            }
+            push({ type: 'table', header, rows });
+        } else if (LIST_ITEM.test(line)) {
+            const ordered = !!LIST_ITEM.exec(line)[2];
+            const items = [];
+            while (i < lines.length) {
+                const item = LIST_ITEM.exec(lines[i]);
+                if (!item || !!item[2] !== ordered) break;
+                items.push(item[3]);
+                i++;
+            }
+            push({ type: 'list', ordered, items });
+        } else if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i])) {
+                quoted.push(QUOTE.exec(lines[i])[1]);
+                i++;
+            }
+            push({ type: 'quote', lines: quoted });
+        } else {
+            const paragraph = [];
+            while (
+                i < lines.length &&
+                lines[i].trim() !== '' &&
+                !FENCE.test(lines[i]) &&
+                !HEADING.test(lines[i]) &&
+                !LIST_ITEM.test(lines[i]) &&
+                !QUOTE.test(lines[i]) &&
+                !(lines[i].trim().startsWith('|') && TABLE_SEPARATOR.test(lines[i + 1] ?? ''))
+            ) {
+                paragraph.push(lines[i]);
+                i++;
+            }
+            push({ type: 'paragraph', lines: paragraph });
+        }
+    }
+
+    return blocks;
+};
+
+const renderBlock = (block) => {
+    switch (block.type) {
+        case 'heading': {
+            // "##" is the usual message title and was always shown as <h3>
+            const level = Math.min(block.level + 1, 6);
+            const inner = renderInline(block.text);
+            return { html: `<h${level}>${inner.html}</h${level}>`, plain: inner.plain };
+        }
+        case 'list': {
+            const tag = block.ordered ? 'ol' : 'ul';
+            const items = block.items.map(item => renderInline(item));
+            return {
+                html: `<${tag}>${items.map(item => `<li>${item.html}</li>`).join('')}</${tag}>`,
+                plain: items.map((item, n) => `${block.ordered ? `${n + 1}.` : '-'} ${item.plain}`).join('\n'),
+            };
+        }
+        case 'table': {
+            const header = block.header.map(cell => renderInline(cell));
+            const rows = block.rows.map(row => row.map(cell => renderInline(cell)));
+            const html = `<table><thead><tr>${header.map(c => `<th>${c.html}</th>`).join('')}</tr></thead>` +
+                `<tbody>${rows.map(row => `<tr>${row.map(c => `<td>${c.html}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+            const plain = [header, ...rows].map(row => row.map(c => c.plain).join(' | ')).join('\n');
+            return { html, plain };
+        }
+        case 'code':
+            return {
+                html: `<pre><code>${escapeHtml(block.lines.join('\n'))}</code></pre>`,
+                plain: block.lines.join('\n'),
+            };
+        case 'quote': {
+            const inner = renderMarkdown(block.lines.join('\n'));
+            return { html: `<blockquote>${inner.html}</blockquote>`, plain: inner.plain.split('\n').map(l => `> ${l}`).join('\n') };
+        }
+        default: {
+            const lines = block.lines.map(line => renderInline(line));
+            return { html: `<p>${lines.map(l => l.html).join('<br>')}</p>`, plain: lines.map(l => l.plain).join('\n') };
+        }
+    }
+};
+
+const renderMarkdown = (text) => {
+    let html = '';
+    let plain = '';
+
+    for (const [n, block] of parseBlocks(String(text ?? '')).entries()) {
+        const rendered = renderBlock(block);
+        html += rendered.html;
+        if (n > 0) plain += block.blankBefore ? '\n\n' : '\n';
+        plain += rendered.plain;
+    }
+
+    return { html, plain };
+};
+
+export { renderMarkdown, escapeMarkdown, escapeHtml, SAFE_URL };
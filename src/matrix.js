@@ -1,4 +1,8 @@
 import EventEmitter from 'node:events';
+import { renderMarkdown } from './markdown.js';
+import { Outbox } from './outbox.js';
+import { recordSyncError, recordSyncDuration } from './metrics.js';
+import { setEventProcessed, isEventProcessed } from './db.js';
 
 class MatrixServer extends EventEmitter{
 
@@ -6,9 +10,13 @@ class MatrixServer extends EventEmitter{
         super()
         this.homeserver = homeserver;
         this.roomID = roomID;
+        this.rooms = new Set([roomID]);
         this.token = token;
         this.nextBatch = null;
         this.userId = null;
+        this.lastSyncAt = null;
+        this.powerLevels = new Map();
+        this.outbox = new Outbox((roomID, eventType, txnId, content) => this.sendEvent(roomID, eventType, txnId, content));
         this.loop();
     }
 
@@ -50,6 +58,11 @@ class MatrixServer extends EventEmitter{
         return thingsChangedFlag;
     }
 
+    // Rooms watched by the sync loop, in addition to the default room.
+    setRooms(roomIDs) {
+        this.rooms = new Set([this.roomID, ...roomIDs]);
+    }
+
     async loop () {
         try {
             if (!this.userId) {
@@ -58,18 +71,23 @@ class MatrixServer extends EventEmitter{
 
             let data;
             const isInitialSync = this.nextBatch === null;
+            const syncStart = Date.now();
             if (isInitialSync) {
                 data = await this.getNextBatch();
             } else {
                 data = await this.getNextBatch(30000, this.nextBatch || '');
             }
+            recordSyncDuration(Date.now() - syncStart);
+            this.lastSyncAt = Date.now();
             
             this.nextBatch = data.next_batch;
             
             // Process events
             const rooms = data.rooms?.join || {};
-            if (rooms[this.roomID]) {
-                 const timeline = rooms[this.roomID].timeline?.events || [];
+            for (const roomID of this.rooms) {
+                 if (!rooms[roomID]) continue;
+
+                 const timeline = rooms[roomID].timeline?.events || [];
                  for (const event of timeline) {
                      if (isInitialSync && event.origin_server_ts < Date.now() - 15 * 60 * 1000) {
                          continue;
@@ -77,20 +95,31 @@ class MatrixServer extends EventEmitter{
 
                      if (event.type === 'm.reaction') {
                          const relatesTo = event.content?.['m.relates_to'];
-                         if (relatesTo && relatesTo.rel_type === 'm.annotation') {
+                         // The bot's own reactions confirm actions (e.g. ✅, which is also an ack reaction) and are not requests
+                         if (relatesTo && relatesTo.rel_type === 'm.annotation' && event.sender !== this.userId) {
                              const key = relatesTo.key; // The emoji
                              const targetEventId = relatesTo.event_id;
                              
-                            this.emit("reaction", {key: key, targetEventId: targetEventId});
+                            this.emit("reaction", {key: key, targetEventId: targetEventId, roomId: roomID, sender: event.sender, eventId: event.event_id});
                          }
+                     } else if (event.type === 'm.room.redaction') {
+                         // Room version 11 moved `redacts` into the content
+                         const redactedEventId = event.redacts ?? event.content?.redacts;
+                         if (redactedEventId && event.sender !== this.userId) {
+                             this.emit("redaction", {redactedEventId: redactedEventId, roomId: roomID, sender: event.sender});
+                         }
+                     } else if (event.type === 'm.room.power_levels') {
+                         this.powerLevels.delete(roomID);
                      } else if (event.type === 'm.room.message') {
-                        const alreadyReacted = await this.hasUserReacted(event.event_id, '☑️');
-                        if (alreadyReacted) {
+                        // Commands handled before the ☑️ reaction was sent are only marked locally
+                        const alreadyProcessed = isEventProcessed(event.event_id) || await this.hasUserReacted(event.event_id, '☑️', roomID);
+                        if (alreadyProcessed) {
                             continue;
                         }
 
                         if (event.sender !== this.userId) {
-                            this.emit('userMessage', event);
+                            // Timeline events from /sync do not carry their room ID
+                            this.emit('userMessage', { ...event, room_id: roomID });
                         }
                      }
                  }
@@ -99,14 +128,15 @@ class MatrixServer extends EventEmitter{
 
         } catch (error) {
             console.error('Sync error:', error.message);
+            recordSyncError();
             await new Promise(r => setTimeout(r, 5000)); // Backoff
         }
         setImmediate(() => this.loop());
     };
 
-    async hasUserReacted(eventId, key) {
+    async hasUserReacted(eventId, key, roomID = this.roomID) {
         try {
-            const url = `${this.homeserver}/_matrix/client/v1/rooms/${encodeURIComponent(this.roomID)}/relations/${encodeURIComponent(eventId)}/m.annotation/m.reaction?limit=100`;
+            const url = `${this.homeserver}/_matrix/client/v1/rooms/${encodeURIComponent(roomID)}/relations/${encodeURIComponent(eventId)}/m.annotation/m.reaction?limit=100`;
             const res = await fetch(url, {
                 headers: { 'Authorization': `Bearer ${this.token}` }
             });
@@ -125,48 +155,82 @@ class MatrixServer extends EventEmitter{
         }
     }
 
-    async sendMatrixNotification (messageContent) {
-        console.log(`Sending Matrix notification (length: ${messageContent.length})`);
-        if (!this.token || !this.roomID) {
+    // Power level of a user from the m.room.power_levels state of a room. The state is cached for a minute,
+    // or until the sync loop sees it change.
+    async getPowerLevel(roomID, userId) {
+        const cached = this.powerLevels.get(roomID);
+        let content = cached && Date.now() - cached.fetchedAt < 60 * 1000 ? cached.content : undefined;
+
+        if (!content) {
+            const url = `${this.homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(roomID)}/state/m.room.power_levels/`;
+            const res = await fetch(url, {
+                headers: { 'Authorization': `Bearer ${this.token}` }
+            });
+            if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+
+            content = await res.json();
+            this.powerLevels.set(roomID, { content, fetchedAt: Date.now() });
+        }
+
+        return Number(content.users?.[userId] ?? content.users_default ?? 0);
+    }
+
+    // Sends one event. Errors carry `permanent` for requests that will not succeed on retry,
+    // and `retryAfterMs` if the homeserver asked to slow down.
+    async sendEvent(roomID, eventType, txnId, content) {
+        const url = `${this.homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(roomID)}/send/${encodeURIComponent(eventType)}/${encodeURIComponent(txnId)}`;
+        const response = await fetch(url, {
+            method: 'PUT',
+            body: JSON.stringify(content),
+            headers: {
+                'Authorization': `Bearer ${this.token}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error(`HTTP error! status: ${response.status}${data.errcode ? ` (${data.errcode})` : ''}`);
+            if (response.status === 429) {
+                error.retryAfterMs = data.retry_after_ms ?? (Number(response.headers.get('retry-after')) * 1000 || undefined);
+            } else if (response.status >= 400 && response.status < 500) {
+                error.permanent = true;
+            }
+            throw error;
+        }
+
+        const data = await response.json();
+        console.log(`Matrix event sent: ${data.event_id}`);
+        return data.event_id;
+    }
+
+    // Messages, edits and reactions are queued in the outbox and sent in the background. The returned ID can be used
+    // like an event ID (for edits, follow-ups and the message map) right away.
+    async sendMatrixNotification (messageContent, roomID = this.roomID, relatesTo = null) {
+        console.log(`Sending Matrix notification to ${roomID} (length: ${messageContent.length})`);
+        if (!this.token || !roomID) {
             console.error('Missing Matrix config, cannot send notification');
             return null;
         }
-        const txnId = `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-        const url = `${this.homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(this.roomID)}/send/m.room.message/${txnId}`;
 
         try {
             const body = this.formatMessageBody(messageContent);
-            const response = await fetch(url, {
-                method: 'PUT',
-                body: JSON.stringify(body),
-                headers: {
-                    'Authorization': `Bearer ${this.token}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            if (relatesTo) {
+                body["m.relates_to"] = relatesTo;
             }
-
-            const data = await response.json();
-            console.log(`Matrix event sent: ${data.event_id}`);
-            return data.event_id;
+            return this.outbox.enqueue(roomID, 'm.room.message', body);
         } catch (error) {
-            console.error('Failed to send Matrix notification:', error.message);
+            console.error('Failed to queue Matrix notification:', error.message);
             return null;
         }
     }
 
-    async editMessage(eventId, newMessageContent) {
+    async editMessage(eventId, newMessageContent, roomID = this.roomID) {
         console.log(`Editing Matrix message ${eventId}`);
-        if (!this.token || !this.roomID) {
+        if (!this.token || !roomID) {
              console.error('Missing Matrix config, cannot edit message');
              return null;
         }
-        
-        const txnId = `${Date.now()}_edit_${Math.random().toString(36).substring(2, 9)}`;
-        const url = `${this.homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(this.roomID)}/send/m.room.message/${txnId}`;
  
         try {
              const baseBody = this.formatMessageBody(newMessageContent);
@@ -180,36 +244,37 @@ class MatrixServer extends EventEmitter{
                  ...baseBody
              };
  
-             const response = await fetch(url, {
-                 method: 'PUT',
-                 body: JSON.stringify(body),
-                 headers: {
-                     'Authorization': `Bearer ${this.token}`,
-                     'Content-Type': 'application/json'
-                 }
-             });
- 
-             if (!response.ok) {
-                 throw new Error(`HTTP error! status: ${response.status}`);
-             }
- 
-             const data = await response.json();
-             console.log(`Matrix event edited: ${data.event_id}`);
-             return data.event_id;
+             return this.outbox.enqueue(roomID, 'm.room.message', body);
         } catch (error) {
-             console.error('Failed to edit Matrix message:', error.message);
+             console.error('Failed to queue Matrix message edit:', error.message);
              return null;
         }
      }
 
+    // Relation for a follow-up to `eventId`: a thread ("thread"), a plain reply ("reply") or none ("none").
+    followUpRelation(eventId, mode = 'thread') {
+        if (!eventId || mode === 'none') return null;
+
+        if (mode === 'reply') {
+            return { "m.in_reply_to": { "event_id": eventId } };
+        }
+
+        // Clients without thread support show the message as a reply instead
+        return {
+            "rel_type": "m.thread",
+            "event_id": eventId,
+            "is_falling_back": true,
+            "m.in_reply_to": { "event_id": eventId }
+        };
+    }
+
+    // Messages are written in Markdown; `body` gets a plain text version for clients without HTML support
     formatMessageBody(messageContent) {
+        const { html, plain } = renderMarkdown(messageContent);
         return {
-            body: messageContent,
+            body: plain,
             format: "org.matrix.custom.html",
-            formatted_body: messageContent.replace(/\n/g, '<br>')
-            .replace(/\*\*(.*?)\*\*/g, '<b>$1</b>')
-            .replace(/## (.*?)(\n|<br>)/, '<h3>$1</h3>')
-            .replace(/\[(.*?)\]\((.*?)\)/g, '<a href="$2">$1</a>'),
+            formatted_body: html,
             msgtype: "m.text"
         };
     }
@@ -228,30 +293,26 @@ class MatrixServer extends EventEmitter{
         return data;
     }
 
-    async sendReaction(matrixEventId, key = '☑️') {
-         const reactionTxnId = `${Date.now()}_react_${Math.random().toString(36).substring(2, 9)}`;
-            try {
-                const reactRes = await fetch(`${this.homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(this.roomID)}/send/m.reaction/${reactionTxnId}`, {
-                    method: 'PUT',
-                    body: JSON.stringify({
-                        "m.relates_to": {
-                            "rel_type": "m.annotation",
-                            "event_id": matrixEventId,
-                            "key": key
-                        }
-                    }),
-                    headers: {
-                        'Authorization': `Bearer ${this.token}`,
-                        'Content-Type': 'application/json'
-                    }
-                });
-                if (!reactRes.ok) {
-                    throw new Error(`HTTP error! status: ${reactRes.status}`);
+    // Confirms a command with ☑️. It is marked as processed right away, as the reaction is only queued.
+    async markProcessed(matrixEventId, roomID = this.roomID) {
+        setEventProcessed(matrixEventId, Date.now());
+        await this.sendReaction(matrixEventId, '☑️', roomID);
+    }
+
+    async sendReaction(matrixEventId, key = '☑️', roomID = this.roomID) {
+        try {
+            this.outbox.enqueue(roomID, 'm.reaction', {
+                "m.relates_to": {
+                    "rel_type": "m.annotation",
+                    "event_id": matrixEventId,
+                    "key": key
                 }
-            } catch (reactErr) {
-                console.error('Failed to send confirmation reaction:', reactErr.message);
-            }
+            });
+        } catch (reactErr) {
+            console.error('Failed to queue confirmation reaction:', reactErr.message);
+        }
     }
+
     async listJoinedRooms() {
 
         console.log('Fetching joined rooms...');
@@ -1,82 +1,135 @@
 import dayjs from 'dayjs';
-import { getAlertValue, getMentionConfig, isCritical, isWarn , getAdditionalLabels } from "./util.js";
+import { getAlertValue, formatMatchers, getMatchingMentionRules, getAdditionalLabels, sortSilences } from "./util.js";
+import { getAlertSeverity, getAlertSeverityLevel, getSeverityLevel } from './severity.js';
+import { renderTemplate } from './templates.js';
+import { getRuleContacts } from './oncall.js';
+import { getMaintenanceWindow } from './maintenance.js';
+import { isFlapping } from './flapping.js';
+import { escapeMarkdown } from './markdown.js';
+import { formatCommand, getUsage } from './commands.js';
 
 // add dayjs plugins
 import relativeTime from 'dayjs/plugin/relativeTime.js';
 dayjs.extend(relativeTime);
 
+// Grafana sends "0001-01-01T00:00:00Z" as endsAt for alerts without an end, so fall back to now.
+const getResolveTime = (a) => {
+    const endsAt = dayjs(a.endsAt);
+    return endsAt.isValid() && endsAt.year() > 1 ? endsAt : dayjs();
+};
+
+const getAlertColor = (a) => {
+    if (a.status !== 'firing') return '#007a00';
+    return getAlertSeverityLevel(a)?.color ?? '#d20000';
+};
+
+// Values available to user-defined templates for a single alert
+const getAlertContext = (a) => {
+    const severity = getAlertSeverity(a);
+    const level = getSeverityLevel(severity);
+    const isFiring = a.status === 'firing';
+    const end = isFiring ? dayjs() : getResolveTime(a);
+
+    return {
+        fingerprint: a.fingerprint,
+        status: a.status,
+        firing: isFiring,
+        resolved: !isFiring,
+        alertname: a.labels?.alertname || 'Unknown Alert',
+        host: getAlertValue(a, "host") ?? getAlertValue(a, "instance") ?? "Unknown Host",
+        severity,
+        level: level?.name,
+        icon: level?.icon ?? '',
+        rank: level?.rank ?? 0,
+        color: getAlertColor(a),
+        summary: getAlertValue(a, "summary"),
+        description: getAlertValue(a, "description") || getAlertValue(a, "message") || '',
+        labels: a.labels || {},
+        annotations: a.annotations || {},
+        values: a.values || {},
+        additionalLabels: Object.entries(getAdditionalLabels(a)).map(([name, value]) => ({ name, value })),
+        startsAt: new Date(a.startsAt).toLocaleString("en-GB"),
+        resolvedAt: isFiring ? undefined : end.toDate().toLocaleString("en-GB"),
+        duration: dayjs(a.startsAt).to(end, true),
+        ack: a.ack ? { by: a.ack.by, ago: dayjs(a.ack.at).fromNow() } : undefined,
+        flapping: isFlapping(a.fingerprint),
+        links: {
+            source: a.generatorURL,
+            silence: a.silenceURL,
+            dashboard: a.dashboardURL,
+            panel: a.panelURL,
+        },
+    };
+};
+
+// User IDs in the mention config may be written with or without the leading @
+const formatUser = (user) => user.startsWith('@') ? user : `@${user}`;
+
+const getImmediateMentions = (a) => {
+    if (a.status !== 'firing' || getMaintenanceWindow(a)) return [];
+
+    const level = getAlertSeverityLevel(a);
+    if (!level) return [];
+
+    const immediateMentions = [];
+
+    for (const rule of getMatchingMentionRules(a)) {
+        const checkImmediate = (type) => rule[`delay_${level.mention}_${type}`] === 0;
+
+        // Check all applicable types
+        if (checkImmediate('secondary')) {
+            immediateMentions.push(...getRuleContacts(rule, 'secondary'));
+        }
+        if (checkImmediate('primary')) {
+            immediateMentions.push(...getRuleContacts(rule, 'primary'));
+        }
+    }
+
+    // Deduplicate
+    return [...new Set(immediateMentions)].map(formatUser);
+};
+
 const createMatrixMessage = (a) => {
 
     const alertName = a.labels?.alertname || 'Unknown Alert';
     const host = getAlertValue(a, "host") ?? getAlertValue(a, "instance") ?? "Unknown Host";
-    const severity = getAlertValue(a, "severity", "UNKNOWN").toUpperCase();
+    const severity = getAlertSeverity(a);
+    const icon = getSeverityLevel(severity)?.icon;
+    const immediateMentions = getImmediateMentions(a);
+
+    const custom = renderTemplate('alert', { ...getAlertContext(a), mentions: immediateMentions });
+    if (custom !== undefined) return custom;
 
     const additionalLabels = getAdditionalLabels(a);
     const summary = getAlertValue(a, "summary");
     const description = getAlertValue(a, "description") || getAlertValue(a, "message") || '';
     
     const isFiring = a.status === 'firing';
-    let color; 
-    let resolved = "";
-    if (!isFiring) {
-        color = '#007a00';
-        resolved = "RESOLVED ";
-    }
-    else if (isWarn(severity)) {
-        color = '#ff9100';
-    } else {
-        color = '#d20000';
-    }
+    const color = getAlertColor(a);
+    const resolved = isFiring ? "" : "RESOLVED ";
 
-    let matrixMessage = `<font color="${color}">**${resolved}${severity}: ${alertName}**</font>\n`;
-    matrixMessage += `**HOST: ${host}**\n`;
+    let matrixMessage = `<font color="${color}">**${icon ? `${icon} ` : ''}${resolved}${escapeMarkdown(severity)}: ${escapeMarkdown(alertName)}**</font>\n`;
+    matrixMessage += `**HOST: ${escapeMarkdown(host)}**\n`;
 
     for (const [label, value] of Object.entries(additionalLabels)) {
-        matrixMessage += `**${label}: ${value}**\n`;
+        matrixMessage += `**${escapeMarkdown(label)}: ${escapeMarkdown(value)}**\n`;
     }
 
     if (summary) {
-        matrixMessage += `${summary}\n`;
+        matrixMessage += `${escapeMarkdown(summary)}\n`;
     }
     
     if (description) {
-        matrixMessage += `${description}\n`;
+        matrixMessage += `${escapeMarkdown(description)}\n`;
     }
 
-    const mentionConfig = getMentionConfig();
-
-    // Check for immediate mentions
-    if (isFiring && mentionConfig[host]) {
-        const config = mentionConfig[host];
-        let immediateMentions = [];
-
-        const checkImmediate = (type) => {
-            const delayCrit = config[`delay_crit_${type}`];
-            const delayWarn = config[`delay_warn_${type}`];
-
-            if (isCritical(severity)) {
-                return delayCrit === 0;
-            } else if (isWarn(severity)) {
-                return delayWarn === 0;
-            }
-            return false;
-        };
-
-        // Check all applicable types
-        if (checkImmediate('secondary')) {
-                immediateMentions.push(...config.secondary);
-        } 
-        if (checkImmediate('primary')) {
-                immediateMentions.push(...config.primary);
-        }
-        
-        // Deduplicate
-        immediateMentions = [...new Set(immediateMentions)].map(v => `@${v}`);
-
+    if (!isFiring) {
+        const resolvedAt = getResolveTime(a);
+        matrixMessage += `Resolved at ${resolvedAt.toDate().toLocaleString("en-GB")} (UTC) after ${dayjs(a.startsAt).to(resolvedAt, true)}\n`;
+    }
 
-        if (immediateMentions.length > 0) {
-            matrixMessage += `\nAttention: ${immediateMentions.join(' ')}\n`;
-        }
+    if (immediateMentions.length > 0) {
+        matrixMessage += `\nAttention: ${immediateMentions.map(escapeMarkdown).join(' ')}\n`;
     }
 
     const links = [];
@@ -90,6 +143,63 @@ const createMatrixMessage = (a) => {
     return matrixMessage;
 }
 
+// One message for a group of alerts, listing every member with its status. Firing members come first, the most severe on top.
+const createGroupMessage = (labels, members) => {
+    const firing = members.filter(a => a.status === 'firing');
+    const rank = (a) => getAlertSeverityLevel(a)?.rank ?? 0;
+    const hostOf = (a) => getAlertValue(a, "host") ?? getAlertValue(a, "instance") ?? "Unknown Host";
+    const sorted = [...members].sort((a, b) =>
+        (b.status === 'firing') - (a.status === 'firing') || rank(b) - rank(a) || hostOf(a).localeCompare(hostOf(b)));
+
+    const alertNames = [...new Set(members.map(a => a.labels?.alertname || 'Unknown Alert'))];
+    const title = Object.keys(labels).length > 0
+        ? Object.entries(labels).map(([name, value]) => `${name}=${value}`).join(', ')
+        : alertNames.join(', ');
+    const color = firing.length > 0 ? getAlertColor([...firing].sort((a, b) => rank(b) - rank(a))[0]) : getAlertColor({ status: 'resolved' });
+    const counts = ['firing', 'resolved', 'silenced']
+        .map(state => [state, members.filter(a => a.status === state).length])
+        .filter(([, count]) => count > 0);
+    const status = counts.length === 1 && counts[0][0] === 'resolved'
+        ? 'RESOLVED'
+        : counts.map(([state, count]) => `${count} ${state.toUpperCase()}`).join(', ');
+
+    let message = `<font color="${color}">**${status}: ${escapeMarkdown(title)}**</font>\n\n`;
+
+    for (const a of sorted) {
+        const alertName = alertNames.length > 1 ? `${escapeMarkdown(a.labels?.alertname || 'Unknown Alert')} ` : '';
+        const summary = getAlertValue(a, "summary");
+        let state = `✅ resolved after ${dayjs(a.startsAt).to(getResolveTime(a), true)}`;
+        if (a.status === 'firing') state = `🔥 firing for ${dayjs(a.startsAt).fromNow(true)}`;
+        if (a.status === 'silenced') state = '🔇 silenced';
+
+        message += `- **${escapeMarkdown(hostOf(a))}** ${alertName}(${escapeMarkdown(getAlertSeverity(a))}): ${state}${summary ? `, ${escapeMarkdown(summary)}` : ''}\n`;
+    }
+
+    const mentions = [...new Set(firing.flatMap(getImmediateMentions))];
+    if (mentions.length > 0) {
+        message += `\nAttention: ${mentions.map(escapeMarkdown).join(' ')}\n`;
+    }
+    return message;
+};
+
+// Short, escaped reference to an alert for confirmations ("critical db-01 DiskFull")
+const describeAlert = (a) => {
+    const host = getAlertValue(a, "host") ?? getAlertValue(a, "instance") ?? "Unknown Host";
+    const severity = getAlertSeverity(a);
+    return escapeMarkdown(`${severity} ${host} ${a.labels?.alertname}`);
+};
+
+const createResolvedReplyMessage = (a) => {
+    const alertName = a.labels?.alertname || 'Unknown Alert';
+    const host = getAlertValue(a, "host") ?? getAlertValue(a, "instance") ?? "Unknown Host";
+    const duration = dayjs(a.startsAt).to(getResolveTime(a), true);
+
+    const custom = renderTemplate('resolved_reply', getAlertContext(a));
+    if (custom !== undefined) return custom;
+
+    return `✅ Resolved after ${duration}: ${escapeMarkdown(alertName)} on ${escapeMarkdown(host)}`;
+};
+
 const createPersistentAlertMessage = (alertsWithUsers) => {
     // Expects alertsWithUsers to be an array of { alert, users } where users is the same for all items (logic handled by caller usually)
     // Actually the caller groups by users, so we can assume users are the same for the group passed in.
@@ -97,6 +207,13 @@ const createPersistentAlertMessage = (alertsWithUsers) => {
     if (!alertsWithUsers || alertsWithUsers.length === 0) return '';
     
     const users = alertsWithUsers[0].users;
+
+    const custom = renderTemplate('persistent', {
+        alerts: alertsWithUsers.map(item => getAlertContext(item.alert)),
+        users,
+        mentions: users.map(formatUser),
+    });
+    if (custom !== undefined) return custom;
     
     let msg = `## ⚠️ Persistent Alert Notification\n\n`;
     msg += `The following alerts have been active for a significant time:\n\n`;
@@ -106,23 +223,28 @@ const createPersistentAlertMessage = (alertsWithUsers) => {
         const host = getAlertValue(item.alert, "host") ?? getAlertValue(item.alert, "instance") ?? "Unknown Host";
         const summary = getAlertValue(item.alert, "summary");
         
-        msg += `- **${alertName}** on **${host}**`;
+        msg += `- **${escapeMarkdown(alertName)}** on **${escapeMarkdown(host)}**`;
         if (summary) {
-            msg += `: ${summary}\n`;
+            msg += `: ${escapeMarkdown(summary)}\n`;
         } else {
             msg += '\n';
         }
 
     }
     
-    msg += `\nAttention: ${users.map(v => `@${v}`).join(' ')}`;
+    msg += `\nAttention: ${users.map(v => escapeMarkdown(formatUser(v))).join(' ')}`;
     return msg;
 };
 
 const createSummaryMessage = (severity, alertsForSeverity, silences = []) => {
 
+    const custom = renderTemplate('summary', getSummaryContext(severity, alertsForSeverity, silences));
+    if (custom !== undefined) return custom;
+
+    const icon = getSeverityLevel(severity)?.icon || '📋';
+
     if (alertsForSeverity.length === 0) {
-        let summaryMessage = `## 📋 ${severity} Alert Summary\n`;
+        let summaryMessage = `## ${icon} ${escapeMarkdown(severity)} Alert Summary\n`;
         summaryMessage += "No active alerts!"
         return summaryMessage;
     }
@@ -139,65 +261,309 @@ const createSummaryMessage = (severity, alertsForSeverity, silences = []) => {
 
     const sortedHosts = Object.keys(alertsByHost).sort();
 
-    let summaryMessage = `## 📋 ${severity} Alert Summary\n\n`;
+    let summaryMessage = `## ${icon} ${escapeMarkdown(severity)} Alert Summary\n\n`;
         
     for (const host of sortedHosts) {
-        summaryMessage += `**Host: ${host}**\n`;
+        summaryMessage += `**Host: ${escapeMarkdown(host)}**\n`;
         for (const alert of alertsByHost[host]) {
-            const alertName = alert.labels?.alertname || 'Unknown Alert';
-            const summary = getAlertValue(alert, "summary") || getAlertValue(alert, "description") || '';
-            const additionalLabels = Object.values(getAdditionalLabels(alert)).join(', ');
+            const alertName = escapeMarkdown(alert.labels?.alertname || 'Unknown Alert');
+            const summary = escapeMarkdown(getAlertValue(alert, "summary") || getAlertValue(alert, "description") || '');
+            const additionalLabels = Object.values(getAdditionalLabels(alert)).map(escapeMarkdown).join(', ');
             const alertDuration = dayjs(alert.startsAt).fromNow(true);
+            const ack = alert.ack ? `, acked by ${escapeMarkdown(alert.ack.by)} ${dayjs(alert.ack.at).fromNow()}` : '';
+            const flapping = isFlapping(alert.fingerprint) ? '〰️ **FLAPPING** ' : '';
 
-            summaryMessage += `- ${alertName}${additionalLabels ? ` (${additionalLabels})` : ''}${summary ? `: ${summary}` : ''} [active for ${alertDuration}]\n`;
+            summaryMessage += `- ${flapping}${alertName}${additionalLabels ? ` (${additionalLabels})` : ''}${summary ? `: ${summary}` : ''} [active for ${alertDuration}${ack}]\n`;
         }
         summaryMessage += `\n`;
     }
 
-    summaryMessage += `\nThere are currently ${silences.length} silenced alerts for this severity. (List them with .silences)\n`
+    summaryMessage += `\nThere are currently ${silences.length} silenced alerts for this severity. (List them with ${formatCommand('silences')})\n`
     return summaryMessage;
 }
 
+const getSummaryContext = (severity, alerts, silences) => {
+    const hosts = {};
+    for (const alert of alerts) {
+        const context = getAlertContext(alert);
+        if (!hosts[context.host]) hosts[context.host] = { host: context.host, alerts: [] };
+        hosts[context.host].alerts.push(context);
+    }
+
+    return {
+        severity,
+        empty: alerts.length === 0,
+        alertCount: alerts.length,
+        hosts: Object.keys(hosts).sort().map(host => hosts[host]),
+        silenceCount: silences.length,
+    };
+};
+
+const getSilenceContext = (silence, i) => {
+    const alertnameMatcher = silence.matchers.find(m => m.name === 'alertname');
+
+    return {
+        index: silence.index ?? i + 1,
+        id: silence.id,
+        alertname: alertnameMatcher ? alertnameMatcher.value : 'Global/Unknown',
+        matchers: silence.matchers,
+        start: new Date(silence.startsAt).toLocaleString("en-GB"),
+        end: new Date(silence.endsAt).toLocaleString("en-GB"),
+        createdBy: silence.createdBy || 'Unknown',
+        comment: silence.comment || 'No comment',
+    };
+};
+
 const createSilencesMessage = (silences) => {
-    if (!silences || silences.length === 0) {
+    silences = sortSilences(silences || []);
+
+    const custom = renderTemplate('silences', {
+        empty: silences.length === 0,
+        count: silences.length,
+        silences: silences.map(getSilenceContext),
+    });
+    if (custom !== undefined) return custom;
+
+    if (silences.length === 0) {
         return "## 🔇 Active Silences\n\nNo active silences found.";
     }
 
     let message = `## 🔇 Active Silences (${silences.length})\n\n`;
 
-    // Sort by end time, soonest first
-    silences.sort((a, b) => {
-        const dateA = new Date(a.endsAt);
-        const dateB = new Date(b.endsAt);
-        if (Number.isNaN(dateA.getTime())) return 1;
-        if (Number.isNaN(dateB.getTime())) return -1;
-        return dateA.getTime() - dateB.getTime();
-    });
-
-    for (const silence of silences) {
+    for (const [i, silence] of silences.entries()) {
         const start = new Date(silence.startsAt).toLocaleString("en-GB");
         const end = new Date(silence.endsAt).toLocaleString("en-GB");
-        const createdBy = silence.createdBy || 'Unknown';
-        const comment = silence.comment || 'No comment';
+        const createdBy = escapeMarkdown(silence.createdBy || 'Unknown');
+        const comment = escapeMarkdown(silence.comment || 'No comment');
         
         // Extract matchers to show what is silenced
         const matchers = silence.matchers
             .filter(m => m.name !== 'alertname') // Optional: hide alertname if redundant, but usually we want to see it
-            .map(m => `**${m.name}**: ${m.value}`)
+            .map(m => `**${escapeMarkdown(m.name)}**: ${escapeMarkdown(m.value)}`)
             .join(', ');
         
         // Try to find alertname specifically for better title
         const alertnameMatcher = silence.matchers.find(m => m.name === 'alertname');
-        const alertname = alertnameMatcher ? alertnameMatcher.value : 'Global/Unknown';
+        const alertname = alertnameMatcher ? escapeMarkdown(alertnameMatcher.value) : 'Global/Unknown';
 
-        message += `### ${alertname}\n`;
+        // Numbering can be given by the caller, so it stays stable when the list is filtered
+        message += `### ${silence.index ?? i + 1}. ${alertname}\n`;
+        message += `- **ID**: \`${silence.id}\`\n`;
         message += `- **Matchers**: ${matchers}\n`;
         message += `- **Duration**: ${start} to ${end}\n`;
         message += `- **Created By**: ${createdBy}\n`;
         message += `- **Comment**: ${comment}\n\n`;
     }
 
+    message += `Expire a silence with ${formatCommand('unsilence')} <number|ID>\n`;
+
+    return message;
+};
+
+const createOnCallMessage = (overview, target) => {
+    const formatUsers = (users) => users.length > 0 ? users.map(v => escapeMarkdown(formatUser(v))).join(', ') : 'Nobody';
+
+    if (overview.rules.length === 0 && overview.rotations.length === 0) {
+        return target
+            ? `## 📟 On Call\n\nNo mention rule or rotation matches ${escapeMarkdown(target)}.`
+            : "## 📟 On Call\n\nNo mention rules configured.";
+    }
+
+    let message = `## 📟 On Call${target ? ` for ${escapeMarkdown(target)}` : ''}\n\n`;
+
+    for (const rule of overview.rules) {
+        const hours = rule.businessHours ? '' : ' (out of hours)';
+        message += `### ${escapeMarkdown(rule.name ?? rule.matchers)}${hours}\n`;
+        if (rule.name) message += `- **Matchers**: ${escapeMarkdown(rule.matchers)}\n`;
+        message += `- **Primary**: ${formatUsers(rule.primary)}\n`;
+        message += `- **Secondary**: ${formatUsers(rule.secondary)}\n\n`;
+    }
+
+    for (const rotation of overview.rotations) {
+        message += `### Rotation ${escapeMarkdown(rotation.name)}\n`;
+        message += `- **On call**: ${formatUsers(rotation.onCall ? [rotation.onCall] : [])}`;
+        if (rotation.override) {
+            message += ` (override until ${new Date(rotation.override.endsAt).toLocaleString("en-GB")} UTC)`;
+        }
+        message += `\n- **Next**: ${formatUsers(rotation.next ? [rotation.next] : [])}\n\n`;
+    }
+
+    return message.trim();
+};
+
+const createMaintenanceMessage = (windows) => {
+    if (windows.length === 0) {
+        return `## 🚧 Maintenance Windows\n\nNo active maintenance windows. Start one with ${formatCommand('maintenance start')} <matchers> <duration>`;
+    }
+
+    let message = `## 🚧 Maintenance Windows (${windows.length})\n\n`;
+
+    for (const window of windows) {
+        message += `### ${escapeMarkdown(window.name)}\n`;
+        message += `- **Matchers**: ${escapeMarkdown(formatMatchers(window.matchers) || 'all alerts')}\n`;
+        message += `- **Until**: ${new Date(window.endsAt).toLocaleString("en-GB")} (UTC)\n`;
+        message += `- **Mode**: ${window.mode === 'quiet' ? 'alerts are posted without mentions' : 'alerts are recorded, but not posted'}\n`;
+        if (window.createdBy) message += `- **Started By**: ${escapeMarkdown(window.createdBy)}\n`;
+        message += '\n';
+    }
+
+    return message.trim();
+};
+
+// Posted when a maintenance window ends, listing the alerts of the window that are still firing
+const createMaintenanceDigestMessage = (window, alerts) => {
+    let message = `## 🚧 Maintenance ${escapeMarkdown(window.name)} ended\n\n`;
+    message += `${alerts.length} alert${alerts.length === 1 ? ' is' : 's are'} still firing:\n\n`;
+
+    // Most severe first
+    const rank = (alert) => getAlertSeverityLevel(alert)?.rank ?? 0;
+    const sorted = [...alerts].sort((a, b) => rank(b) - rank(a));
+
+    for (const alert of sorted) {
+        const alertName = escapeMarkdown(alert.labels?.alertname || 'Unknown Alert');
+        const host = escapeMarkdown(getAlertValue(alert, "host") ?? getAlertValue(alert, "instance") ?? "Unknown Host");
+        const severity = escapeMarkdown(getAlertSeverity(alert));
+        const summary = escapeMarkdown(getAlertValue(alert, "summary") || '');
+
+        message += `- ${severity}: **${alertName}** on **${host}**${summary ? `: ${summary}` : ''} [active for ${dayjs(alert.startsAt).fromNow(true)}]\n`;
+    }
+
+    return message;
+};
+
+// Past occurrences from the alert history, newest first. At most `limit` are listed.
+const createHistoryMessage = (occurrences, since, matchers = [], limit = 25) => {
+    const filter = matchers.length > 0 ? ` for ${escapeMarkdown(formatMatchers(matchers))}` : '';
+    let message = `## 📜 Alert History${filter}\n\n`;
+
+    if (occurrences.length === 0) {
+        return `${message}No alerts since ${new Date(since).toLocaleString("en-GB")} (UTC).`;
+    }
+
+    message += `${occurrences.length} occurrence${occurrences.length === 1 ? '' : 's'} since ${new Date(since).toLocaleString("en-GB")} (UTC):\n\n`;
+
+    for (const occurrence of occurrences.slice(0, limit)) {
+        const { alert } = occurrence;
+        const alertName = escapeMarkdown(alert.labels?.alertname || 'Unknown Alert');
+        const host = escapeMarkdown(getAlertValue(alert, "host") ?? getAlertValue(alert, "instance") ?? "Unknown Host");
+        const severity = escapeMarkdown(getAlertSeverity(alert));
+        const duration = dayjs(occurrence.startsAt).to(occurrence.endedAt ?? dayjs(), true);
+
+        let outcome;
+        if (occurrence.endedBy === 'silence') {
+            outcome = `silenced after ${duration}${occurrence.silencedBy ? ` by ${escapeMarkdown(occurrence.silencedBy)}` : ''}`;
+        } else if (occurrence.endedBy === 'resolve') {
+            outcome = `resolved after ${duration}`;
+        } else if (occurrence.firing) {
+            outcome = `firing for ${duration}`;
+        } else {
+            outcome = 'end not recorded';
+        }
+
+        message += `- ${new Date(occurrence.startsAt).toLocaleString("en-GB")} ${severity}: **${alertName}** on **${host}**, ${outcome}`;
+        if (occurrence.ackedBy) message += `, acknowledged by ${escapeMarkdown(occurrence.ackedBy)}`;
+        if (occurrence.mentioned.length > 0) message += `, mentioned ${occurrence.mentioned.map(v => escapeMarkdown(formatUser(v))).join(' ')}`;
+        message += '\n';
+    }
+
+    if (occurrences.length > limit) {
+        message += `\n…and ${occurrences.length - limit} older occurrences. Narrow the list down with matchers or a shorter period.\n`;
+    }
+
+    return message;
+};
+
+const formatDuration = (ms) => dayjs(0).to(ms, true);
+
+// Posted once when an alert starts flapping, instead of its firing and resolved messages
+const createFlappingMessage = (a, { transitions, window, stablePeriod }) => {
+    const alertName = escapeMarkdown(a.labels?.alertname || 'Unknown Alert');
+    const host = escapeMarkdown(getAlertValue(a, "host") ?? getAlertValue(a, "instance") ?? "Unknown Host");
+    const severity = escapeMarkdown(getAlertSeverity(a));
+
+    let message = `<font color="${getAlertSeverityLevel(a)?.color ?? '#d20000'}">**〰️ FLAPPING ${severity}: ${alertName}**</font>\n`;
+    message += `**HOST: ${host}**\n`;
+    message += `Changed between firing and resolved at least ${transitions} times within ${formatDuration(window)}. `;
+    message += `Further firing and resolved messages are held back until it has been stable for ${formatDuration(stablePeriod)}.\n`;
+    return message;
+};
+
+// Posted in the thread of the flapping notice when a flapping alert stays resolved
+const createFlappingEndedMessage = (a) => {
+    const alertName = a.labels?.alertname || 'Unknown Alert';
+    const host = getAlertValue(a, "host") ?? getAlertValue(a, "instance") ?? "Unknown Host";
+    return `✅ Stopped flapping and resolved: ${escapeMarkdown(alertName)} on ${escapeMarkdown(host)} (flapping since ${new Date(a.flappingSince).toLocaleString("en-GB")} UTC)`;
+};
+
+const getReportContext = (report) => {
+    const alertEntry = ({ alertname, host, count }) => ({ alertname, host, count });
+
+    return {
+        since: new Date(report.since).toLocaleString("en-GB"),
+        until: new Date(report.until).toLocaleString("en-GB"),
+        period: formatDuration(report.until - report.since),
+        empty: report.occurrenceCount === 0,
+        occurrenceCount: report.occurrenceCount,
+        resolvedCount: report.resolvedCount,
+        meanTimeToResolve: report.meanTimeToResolve === undefined ? undefined : formatDuration(report.meanTimeToResolve),
+        topAlertnames: report.topAlertnames.map(({ alertname, count }) => ({ name: alertname, count })),
+        topHosts: report.topHosts.map(({ host, count }) => ({ name: host, count })),
+        flapping: report.flapping.map(alertEntry),
+        silencedRepeatedly: report.silencedRepeatedly.map(alertEntry),
+        outOfHoursCount: report.outOfHoursCount,
+        outOfHours: report.outOfHours.map(alertEntry),
+    };
+};
+
+// Alert hygiene report built by getNoiseReport
+const createReportMessage = (report) => {
+    const context = getReportContext(report);
+
+    const custom = renderTemplate('report', context);
+    if (custom !== undefined) return custom;
+
+    let message = `## 📊 Alert Noise Report (last ${context.period})\n\n`;
+
+    if (context.empty) {
+        return `${message}No alerts fired since ${context.since} (UTC).`;
+    }
+
+    message += `${context.occurrenceCount} alert occurrence${context.occurrenceCount === 1 ? '' : 's'} since ${context.since} (UTC), ${context.resolvedCount} resolved`;
+    message += context.meanTimeToResolve ? `, mean time to resolve: ${context.meanTimeToResolve}.\n\n` : '.\n\n';
+
+    const section = (title, entries, format) => {
+        if (entries.length === 0) return '';
+        return `### ${title}\n${entries.map(entry => `- ${format(entry)}\n`).join('')}\n`;
+    };
+    const formatAlert = (entry) => `**${escapeMarkdown(entry.alertname)}** on **${escapeMarkdown(entry.host)}**: ${entry.count}×`;
+
+    message += section('Most Frequent Alerts', context.topAlertnames, entry => `**${escapeMarkdown(entry.name)}**: ${entry.count}×`);
+    message += section('Most Affected Hosts', context.topHosts, entry => `**${escapeMarkdown(entry.name)}**: ${entry.count}×`);
+    message += section('Flapping (fired again after resolving)', context.flapping, formatAlert);
+    message += section('Silenced More Than Once', context.silencedRepeatedly, formatAlert);
+    message += section(`Out of Business Hours (${context.outOfHoursCount})`, context.outOfHours, formatAlert);
+
+    return message.trim();
+};
+
+// Overview of all commands for .help
+const createHelpMessage = (commands) => {
+    let message = `## ❔ Commands\n\n`;
+    for (const command of commands) {
+        message += `- \`${getUsage(command)}\`: ${command.description}\n`;
+    }
+    message += `\nSend \`${formatCommand('help')} <command>\` for details on a command.`;
     return message;
 };
 
-export { createMatrixMessage, createPersistentAlertMessage, createSummaryMessage, createSilencesMessage };
+// Details of one command for .help <command>
+const createCommandHelpMessage = (command) => {
+    let message = `## ❔ \`${getUsage(command)}\`\n\n${command.description}\n`;
+    if (command.replyToAlert) message += `\nSend it as a reply to an alert message (or in its thread).\n`;
+    if (command.aliases?.length > 0) message += `\n- **Aliases**: ${command.aliases.map(alias => `\`${formatCommand(alias)}\``).join(', ')}`;
+    if (command.example) message += `\n- **Example**: \`${formatCommand(command.example)}\``;
+    if (command.permission) message += `\n- **Permission**: ${command.permission}`;
+    return message.trim();
+};
+
+export { createMatrixMessage, createGroupMessage, getSummaryContext, createHelpMessage, createCommandHelpMessage, getImmediateMentions, describeAlert, createResolvedReplyMessage, createPersistentAlertMessage, createSummaryMessage, createSilencesMessage, createOnCallMessage, createMaintenanceMessage, createMaintenanceDigestMessage, createHistoryMessage, createReportMessage, createFlappingMessage, createFlappingEndedMessage };
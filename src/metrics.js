@@ -0,0 +1,93 @@
+// Prometheus metrics of the bridge itself, served on /metrics in the text exposition format.
+// Counters and the sync histogram live in memory and start at zero on every restart; gauges are computed on each scrape.
+const registry = [];
+
+const SYNC_DURATION_BUCKETS = [0.1, 0.5, 1, 5, 10, 30, 60];
+
+const createMetric = (type, name, help) => {
+    const metric = { type, name, help, values: new Map() };
+    registry.push(metric);
+    return metric;
+};
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const increment = (metric, labels = {}, value = 1) => {
+    const key = formatLabels(labels);
+    metric.values.set(key, (metric.values.get(key) ?? 0) + value);
+};
+
+const webhooksReceived = createMetric('counter', 'grafana2matrix_webhooks_received_total', 'Webhook requests received, by payload status (firing, resolved) and HTTP response code');
+const matrixSendFailures = createMetric('counter', 'grafana2matrix_matrix_send_failures_total', 'Failed attempts to send Matrix events, by kind (message, edit, reaction)');
+const syncErrors = createMetric('counter', 'grafana2matrix_sync_errors_total', 'Failed Matrix sync requests');
+const syncDuration = createMetric('histogram', 'grafana2matrix_sync_duration_seconds', 'Duration of successful Matrix sync requests (long polls for up to 30 seconds)');
+const silencesCreated = createMetric('counter', 'grafana2matrix_silences_created_total', 'Silences created, by alert source');
+const mentionsSent = createMetric('counter', 'grafana2matrix_mentions_sent_total', 'Users mentioned for alerts, by type (immediate, persistent)');
+
+syncErrors.values.set('', 0);
+syncDuration.histogram = { buckets: SYNC_DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+
+const recordWebhook = (status, code) => increment(webhooksReceived, { status, code });
+const recordMatrixFailure = (kind) => increment(matrixSendFailures, { kind });
+const recordSyncError = () => increment(syncErrors);
+const recordSilenceCreated = (source = 'default') => increment(silencesCreated, { source });
+const recordMentions = (type, count) => increment(mentionsSent, { type }, count);
+
+const recordSyncDuration = (ms) => {
+    const seconds = ms / 1000;
+    const { histogram } = syncDuration;
+    SYNC_DURATION_BUCKETS.forEach((bound, i) => {
+        if (seconds <= bound) histogram.buckets[i]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+};
+
+// `collect()` returns the current values as [labels, value] pairs, e.g. [[{ severity: 'critical' }, 3]]
+const registerGauge = (name, help, collect) => {
+    const metric = createMetric('gauge', name, help);
+    metric.collect = collect;
+};
+
+const renderHistogram = (metric) => {
+    const { histogram } = metric;
+    return [
+        ...SYNC_DURATION_BUCKETS.map((bound, i) => `${metric.name}_bucket{le="${bound}"} ${histogram.buckets[i]}`),
+        `${metric.name}_bucket{le="+Inf"} ${histogram.count}`,
+        `${metric.name}_sum ${histogram.sum}`,
+        `${metric.name}_count ${histogram.count}`,
+    ];
+};
+
+const renderMetrics = () => {
+    const lines = [];
+
+    for (const metric of registry) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+
+        if (metric.type === 'histogram') {
+            lines.push(...renderHistogram(metric));
+        } else if (metric.collect) {
+            try {
+                for (const [labels, value] of metric.collect()) {
+                    lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+                }
+            } catch (error) {
+                console.error(`Failed to collect metric ${metric.name}:`, error.message);
+            }
+        } else {
+            for (const [labels, value] of metric.values) {
+                lines.push(`${metric.name}${labels} ${value}`);
+            }
+        }
+    }
+    return `${lines.join('\n')}\n`;
+};
+
+export { recordWebhook, recordMatrixFailure, recordSyncError, recordSyncDuration, recordSilenceCreated, recordMentions, registerGauge, renderMetrics };
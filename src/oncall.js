@@ -0,0 +1,145 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { parseTimeToMinutes, getMentionRules, getMatchingMentionRules, formatMatchers } from './util.js';
+import { getOncallOverride } from './db.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const HANDOVER_UNITS = { daily: 'day', weekly: 'week' };
+
+// Business hours are { days, start, end, timezone }, by default Monday to Friday, 09:00 to 17:00 UTC.
+// Without business hours configured it is always business hours.
+const isBusinessHours = (hours, now = dayjs()) => {
+    if (!hours) return true;
+
+    const local = now.tz(hours.timezone || 'UTC');
+    const days = (hours.days ?? ['mon', 'tue', 'wed', 'thu', 'fri']).map(d => String(d).toLowerCase().slice(0, 3));
+    if (!days.includes(WEEKDAYS[local.day()])) return false;
+
+    const minute = local.hour() * 60 + local.minute();
+    const start = parseTimeToMinutes(hours.start ?? '09:00');
+    const end = parseTimeToMinutes(hours.end ?? '17:00');
+
+    // Ranges like 22:00-06:00 span midnight
+    return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+};
+
+// Override from the rotation config (e.g. holidays) or from `.oncall override`; the latter wins
+const getRotationOverride = (name, rotation, now) => {
+    const stored = getOncallOverride(name, now.valueOf());
+    if (stored) return stored.userId;
+
+    const tz = rotation.timezone || 'UTC';
+    const override = (rotation.overrides ?? []).find(o =>
+        !now.isBefore(dayjs.tz(o.start, tz)) && now.isBefore(dayjs.tz(o.end, tz)));
+    return override?.user;
+};
+
+// Member of a rotation that is on call at `now`. `offset` 1 is the next one in line, e.g. for secondary contacts.
+// The rotation starts with the first member at `start` (local time in the rotation's timezone) and hands over daily or weekly.
+const getRotationMember = (name, rotation, offset = 0, now = dayjs()) => {
+    const members = rotation?.members ?? [];
+    if (members.length === 0) return undefined;
+
+    if (offset === 0) {
+        const override = getRotationOverride(name, rotation, now);
+        if (override) return override;
+    }
+
+    const tz = rotation.timezone || 'UTC';
+    const unit = HANDOVER_UNITS[rotation.handover ?? 'weekly'];
+    if (!unit) throw new Error(`Unknown handover "${rotation.handover}" (expected daily or weekly)`);
+
+    const start = dayjs.tz(rotation.start ?? '1970-01-05 00:00', tz);
+    if (!start.isValid()) throw new Error(`Invalid start "${rotation.start}"`);
+
+    const periods = Math.floor(now.tz(tz).diff(start, unit, true));
+    const index = (((periods + offset) % members.length) + members.length) % members.length;
+    return members[index];
+};
+
+// Resolves a primary/secondary list of a mention rule to user IDs. A list contains user IDs and rotation
+// references ({ "rotation": "name", "offset": 1 }); it can be split into { business_hours, out_of_hours } lists.
+const resolveContacts = (contacts, rule, now = dayjs()) => {
+    if (!contacts) return [];
+
+    if (!Array.isArray(contacts)) {
+        const list = isBusinessHours(rule.businessHours, now) ? contacts.business_hours : contacts.out_of_hours;
+        return resolveContacts(list, rule, now);
+    }
+
+    const users = [];
+    for (const contact of contacts) {
+        if (typeof contact === 'string') {
+            users.push(contact);
+            continue;
+        }
+
+        try {
+            const user = getRotationMember(contact.rotation, rule.rotations?.[contact.rotation], contact.offset ?? 0, now);
+            if (user) {
+                users.push(user);
+            } else {
+                console.error(`Mention rule refers to unknown or empty rotation: ${contact.rotation}`);
+            }
+        } catch (e) {
+            console.error(`Error in rotation ${contact.rotation}:`, e.message);
+        }
+    }
+    return users;
+};
+
+// Users currently responsible for a mention rule ('primary' or 'secondary')
+const getRuleContacts = (rule, type, now = dayjs()) => resolveContacts(rule[type], rule, now);
+
+const describeRule = (rule) => {
+    let matchers = 'all alerts';
+    if (rule.host !== undefined) {
+        matchers = `host=${rule.host}`;
+    } else if (rule.matchers.length > 0) {
+        matchers = formatMatchers(rule.matchers);
+    }
+
+    return {
+        name: rule.name,
+        matchers,
+        businessHours: isBusinessHours(rule.businessHours),
+        primary: getRuleContacts(rule, 'primary'),
+        secondary: getRuleContacts(rule, 'secondary'),
+    };
+};
+
+const describeRotation = (name, rotation) => {
+    const now = dayjs();
+    return {
+        name,
+        onCall: getRotationMember(name, rotation, 0, now),
+        next: getRotationMember(name, rotation, 1, now),
+        override: getOncallOverride(name, now.valueOf()),
+    };
+};
+
+// Who is on call for a mention rule or rotation (by name) or for a host. Without a target, for all rules and rotations.
+const getOnCallOverview = (target) => {
+    const { rules, rotations } = getMentionRules();
+
+    if (!target) {
+        return {
+            rules: rules.map(describeRule),
+            rotations: Object.entries(rotations).map(([name, rotation]) => describeRotation(name, rotation)),
+        };
+    }
+
+    const rule = rules.find(r => r.name === target);
+    if (rule) return { rules: [describeRule(rule)], rotations: [] };
+
+    if (rotations[target]) return { rules: [], rotations: [describeRotation(target, rotations[target])] };
+
+    const hostRules = getMatchingMentionRules({ labels: { host: target }, annotations: {} });
+    return { rules: hostRules.map(describeRule), rotations: [] };
+};
+
+export { isBusinessHours, getRotationMember, getRuleContacts, getOnCallOverview };
@@ -0,0 +1,176 @@
+import {
+    addOutboxEntry,
+    getOutboxEntry,
+    getNextOutboxEntries,
+    setOutboxSent,
+    setOutboxRetry,
+    setOutboxFailed,
+    getOutboxStatus,
+    getOutboxErrors,
+    deleteOldOutboxEntries,
+    replaceEventId } from './db.js';
+import { recordMatrixFailure } from './metrics.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Queued events are referred to by a temporary ID until they are sent, e.g. in the message map or in follow-ups
+const TEMP_ID_PREFIX = 'outbox:';
+
+// Retries back off exponentially from 1 second to at most 5 minutes. Events that could not be sent within a day are dropped.
+const getBackoff = (attempts) => Math.min(1000 * 2 ** attempts, 5 * MINUTE);
+const MAX_AGE = DAY;
+
+const getEventKind = (entry) => {
+    if (entry.eventType === 'm.reaction') return 'reaction';
+    return entry.content["m.relates_to"]?.rel_type === 'm.replace' ? 'edit' : 'message';
+};
+
+// An edit of an event that could not be sent is sent as a new message
+const isReplacedByMessage = (queued, sent) => queued["m.relates_to"]?.rel_type === 'm.replace' && !sent["m.relates_to"];
+
+// Persistent queue of outgoing Matrix events. Every event keeps its transaction ID across retries, so the homeserver
+// does not post it twice. Events of a room are sent in order; a room waiting for a retry does not hold up other rooms.
+class Outbox {
+
+    // `send(roomId, eventType, txnId, content)` sends one event and returns its event ID. It throws errors with
+    // `permanent` set for requests that will never succeed and `retryAfterMs` for rate limits.
+    constructor(send) {
+        this.send = send;
+        this.processing = false;
+        this.rerun = false;
+        this.lastCleanup = 0;
+        setInterval(() => this.process(), 1000);
+    }
+
+    // Stores an event and returns its temporary ID
+    enqueue(roomId, eventType, content) {
+        const txnId = `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+        const id = addOutboxEntry(roomId, eventType, txnId, content, Date.now());
+        setImmediate(() => this.process());
+        return `${TEMP_ID_PREFIX}${id}`;
+    }
+
+    // Event ID for a temporary ID: the event ID once sent, null if it failed, undefined while it is pending
+    resolveEventId(id) {
+        if (typeof id !== 'string' || !id.startsWith(TEMP_ID_PREFIX)) return id;
+
+        const entry = getOutboxEntry(Number(id.slice(TEMP_ID_PREFIX.length)));
+        if (!entry || entry.status === 'failed') return null;
+        return entry.status === 'sent' ? entry.eventId : undefined;
+    }
+
+    // Replaces temporary IDs in the relation of an event. Follow-ups of a failed event are sent without the relation,
+    // edits of it are sent as a new message with the new content, and reactions to it are dropped (null).
+    resolveContent(content) {
+        const relatesTo = content["m.relates_to"];
+        if (!relatesTo) return content;
+
+        const resolved = {};
+        if (relatesTo.event_id) resolved.event = this.resolveEventId(relatesTo.event_id);
+        if (relatesTo["m.in_reply_to"]) resolved.reply = this.resolveEventId(relatesTo["m.in_reply_to"].event_id);
+
+        const ids = Object.values(resolved);
+        if (ids.includes(undefined)) return undefined;
+
+        if (ids.includes(null)) {
+            if (relatesTo.rel_type === 'm.annotation') return null;
+            if (relatesTo.rel_type === 'm.replace') return content["m.new_content"] ?? null;
+
+            const { "m.relates_to": _relation, ...withoutRelation } = content;
+            return withoutRelation;
+        }
+
+        return {
+            ...content,
+            "m.relates_to": {
+                ...relatesTo,
+                ...(resolved.event && { event_id: resolved.event }),
+                ...(resolved.reply && { "m.in_reply_to": { event_id: resolved.reply } }),
+            },
+        };
+    }
+
+    async process() {
+        if (this.processing) {
+            this.rerun = true;
+            return;
+        }
+        this.processing = true;
+
+        try {
+            if (Date.now() - this.lastCleanup > 60 * MINUTE) {
+                deleteOldOutboxEntries(Date.now() - 7 * DAY);
+                this.lastCleanup = Date.now();
+            }
+
+            let due;
+            do {
+                this.rerun = false;
+                due = getNextOutboxEntries().filter(entry => entry.nextAttemptAt <= Date.now());
+                for (const entry of due) {
+                    await this.attempt(entry);
+                }
+            } while (due.length > 0 || this.rerun);
+        } catch (error) {
+            console.error('Failed to process Matrix outbox:', error.message);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async attempt(entry) {
+        const content = this.resolveContent(entry.content);
+        const now = Date.now();
+
+        if (content === undefined) {
+            // Refers to an event that is still queued, e.g. in another room. Waiting backs off and gives up like failed sends.
+            if (now - entry.createdAt > MAX_AGE) {
+                console.error(`Giving up sending ${entry.eventType} to ${entry.roomId}: the event it refers to was not sent in time`);
+                setOutboxFailed(entry.id, 'Refers to an event that was not sent in time', now);
+                return;
+            }
+            setOutboxRetry(entry.id, entry.attempts + 1, now + getBackoff(entry.attempts), entry.lastError ?? null, now);
+            return;
+        }
+        if (content === null) {
+            console.error(`Dropping queued ${entry.eventType} to ${entry.roomId}: the event it refers to could not be sent`);
+            setOutboxFailed(entry.id, 'Refers to an event that could not be sent', now);
+            return;
+        }
+
+        try {
+            const eventId = await this.send(entry.roomId, entry.eventType, entry.txnId, content);
+            setOutboxSent(entry.id, eventId, Date.now());
+            replaceEventId(`${TEMP_ID_PREFIX}${entry.id}`, eventId);
+            if (isReplacedByMessage(entry.content, content)) {
+                // The new message takes the place of the one it was meant to edit, e.g. in the message map
+                replaceEventId(entry.content["m.relates_to"].event_id, eventId);
+            }
+        } catch (error) {
+            recordMatrixFailure(getEventKind(entry));
+            const age = now - entry.createdAt;
+            if (error.permanent || age > MAX_AGE) {
+                console.error(`Giving up sending ${entry.eventType} to ${entry.roomId}:`, error.message);
+                setOutboxFailed(entry.id, error.message, Date.now());
+                return;
+            }
+
+            const delay = error.retryAfterMs ?? getBackoff(entry.attempts);
+            console.error(`Failed to send ${entry.eventType} to ${entry.roomId} (attempt ${entry.attempts + 1}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+            setOutboxRetry(entry.id, entry.attempts + 1, Date.now() + delay, error.message, Date.now());
+        }
+    }
+
+    // Pending events, events given up on within the last day, and the last error
+    getStatus() {
+        return getOutboxStatus(Date.now() - DAY);
+    }
+
+    // Events that failed or are waiting for a retry, updated within the last day
+    getRecentErrors(limit = 20) {
+        return getOutboxErrors(Date.now() - DAY, limit);
+    }
+}
+
+export { Outbox };
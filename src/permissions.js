@@ -0,0 +1,37 @@
+import { config } from './config.js';
+
+// PERMISSIONS restricts actions (silence, unsilence, ack, summary, oncall, maintenance, reload) to Matrix users:
+// { "reload": ["@admin:example.org"], "silence": { "users": [...], "servers": ["example.org"], "powerLevel": 50 } }
+// A list is short for { "users": [...] }. "*" applies to all actions without their own entry; without either, everyone is allowed.
+const getRule = (permission) => {
+    const permissions = config.PERMISSIONS && typeof config.PERMISSIONS === 'object' ? config.PERMISSIONS : {};
+    const rule = permissions[permission] ?? permissions['*'];
+    if (!rule || typeof rule !== 'object') return undefined;
+
+    return Array.isArray(rule)
+        ? { users: rule, servers: [] }
+        : { users: rule.users ?? [], servers: rule.servers ?? [], powerLevel: rule.powerLevel };
+};
+
+const getServer = (userId) => String(userId).slice(String(userId).indexOf(':') + 1);
+
+// `getPowerLevel()` returns the power level of the user in the room the action was requested in.
+// It is only called for rules with `powerLevel`; if it fails, the action is denied.
+const isAllowed = async (userId, permission, getPowerLevel) => {
+    if (!permission) return true;
+
+    const rule = getRule(permission);
+    if (!rule) return true;
+
+    if (rule.users.includes(userId) || rule.servers.includes(getServer(userId))) return true;
+    if (rule.powerLevel === undefined) return false;
+
+    try {
+        return await getPowerLevel() >= Number(rule.powerLevel);
+    } catch (error) {
+        console.error(`Failed to get power level of ${userId}:`, error.message);
+        return false;
+    }
+};
+
+export { isAllowed };
@@ -0,0 +1,59 @@
+import dayjs from 'dayjs';
+import { getAlertValue, getMatchingMentionRules } from './util.js';
+import { isBusinessHours } from './oncall.js';
+import { getAlertHistory } from './history.js';
+
+// Number of entries in the "top" lists of the report
+const TOP_COUNT = 5;
+
+const describe = (alert) => ({
+    alertname: alert.labels?.alertname || 'Unknown Alert',
+    host: getAlertValue(alert, "host") ?? getAlertValue(alert, "instance") ?? "Unknown Host",
+});
+
+// Counts occurrences by `getKey`, most frequent first. `min` drops entries seen less often.
+const countBy = (occurrences, getKey, min = 1) => {
+    const counts = new Map();
+    for (const occurrence of occurrences) {
+        const key = getKey(occurrence);
+        const entry = counts.get(key) ?? { ...describe(occurrence.alert), count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    }
+    return [...counts.values()].filter(entry => entry.count >= min).sort((a, b) => b.count - a.count);
+};
+
+// Alerts fire out of hours if they start outside the business hours of their mention rule
+// (Monday to Friday, 09:00 to 17:00 UTC if the mention config sets none)
+const isOutOfHours = (occurrence) => {
+    const rule = getMatchingMentionRules(occurrence.alert)[0];
+    return !isBusinessHours(rule?.businessHours ?? {}, dayjs(occurrence.startsAt));
+};
+
+// Noise statistics of the alert history from `since` (ms) until now, for the alerts matching `matchers`
+// and, if given, routed to `roomId`
+const getNoiseReport = (matchers, since, roomId = undefined) => {
+    const occurrences = getAlertHistory(matchers, since, roomId);
+    const resolved = occurrences.filter(o => o.endedBy === 'resolve');
+    const outOfHours = occurrences.filter(isOutOfHours);
+    const byAlert = (o) => o.alert.fingerprint;
+
+    return {
+        since,
+        until: Date.now(),
+        occurrenceCount: occurrences.length,
+        resolvedCount: resolved.length,
+        meanTimeToResolve: resolved.length > 0
+            ? resolved.reduce((sum, o) => sum + (o.endedAt - o.startsAt), 0) / resolved.length
+            : undefined,
+        topAlertnames: countBy(occurrences, o => describe(o.alert).alertname).slice(0, TOP_COUNT),
+        topHosts: countBy(occurrences, o => describe(o.alert).host).slice(0, TOP_COUNT),
+        // Alerts that fired again after they resolved
+        flapping: countBy(occurrences, byAlert, 2).slice(0, TOP_COUNT),
+        silencedRepeatedly: countBy(occurrences.filter(o => o.endedBy === 'silence'), byAlert, 2),
+        outOfHoursCount: outOfHours.length,
+        outOfHours: countBy(outOfHours, byAlert).slice(0, TOP_COUNT),
+    };
+};
+
+export { getNoiseReport };
@@ -0,0 +1,80 @@
+import { config } from './config.js';
+import { getAlertValue } from './util.js';
+
+// Used without SEVERITY_LEVELS. `mention` is the key used in the mention config, e.g. delay_crit_primary.
+const DEFAULT_LEVELS = [
+    { name: 'CRIT', aliases: ['CRITICAL'], color: '#d20000', rank: 2, mention: 'crit' },
+    { name: 'WARN', aliases: ['WARNING'], color: '#ff9100', rank: 1, mention: 'warn' },
+];
+
+// Color of firing alerts whose severity is not in the table
+const DEFAULT_COLOR = '#d20000';
+
+// Summary schedules of the built-in levels, used if a level does not set its own
+const getDefaultSchedule = (name) => {
+    if (name === 'CRIT') return config.SUMMARY_SCHEDULE_CRIT || "6:00,14:30";
+    if (name === 'WARN') return config.SUMMARY_SCHEDULE_WARN || "6:00,14:30";
+    return undefined;
+};
+
+// Severity levels from SEVERITY_LEVELS, highest rank first
+const getSeverityLevels = () => {
+    const levels = Array.isArray(config.SEVERITY_LEVELS) && config.SEVERITY_LEVELS.length > 0
+        ? config.SEVERITY_LEVELS
+        : DEFAULT_LEVELS;
+
+    return levels
+        .filter(level => level?.name)
+        .map((level, i) => {
+            const name = String(level.name).toUpperCase();
+            return {
+                ...level,
+                name,
+                aliases: (level.aliases ?? []).map(alias => String(alias).toUpperCase()),
+                color: level.color ?? DEFAULT_COLOR,
+                icon: level.icon ?? '',
+                rank: level.rank ?? levels.length - i,
+                mention: level.mention ?? name.toLowerCase(),
+                schedule: level.schedule ?? getDefaultSchedule(name),
+            };
+        })
+        .sort((a, b) => b.rank - a.rank);
+};
+
+// Level for a severity name or alias (case-insensitive), or undefined
+const getSeverityLevel = (severity) => {
+    const value = String(severity ?? '').toUpperCase();
+    return getSeverityLevels().find(level => level.name === value || level.aliases.includes(value));
+};
+
+// Severity of an alert, taken from the first label of SEVERITY_LABELS (e.g. "severity", "priority") that is set
+const getAlertSeverity = (alert) => {
+    const labels = Array.isArray(config.SEVERITY_LABELS) ? config.SEVERITY_LABELS : ['severity'];
+    for (const label of labels) {
+        const value = getAlertValue(alert, label);
+        if (value) return String(value).toUpperCase();
+    }
+    return 'UNKNOWN';
+};
+
+const getAlertSeverityLevel = (alert) => getSeverityLevel(getAlertSeverity(alert));
+
+// Matches severities of the same level as `severity` (e.g. "CRITICAL" for "CRIT"), or the exact value for unknown levels
+const getSeverityMatchFunction = (severity) => {
+    const level = getSeverityLevel(severity);
+    if (!level) return sev => sev === String(severity).toUpperCase();
+
+    return sev => getSeverityLevel(sev)?.name === level.name;
+};
+
+const getSilencesFilterFunction = (severity) => {
+    const matcherFunc = getSeverityMatchFunction(severity);
+    const labels = Array.isArray(config.SEVERITY_LABELS) ? config.SEVERITY_LABELS : ['severity'];
+
+    return e => {
+        const matcher = e.matchers.find(v => labels.includes(v.name));
+        return !!matcher && matcherFunc(matcher.value.toUpperCase());
+    };
+};
+
+export { getSeverityLevels, getSeverityLevel, getAlertSeverity, getAlertSeverityLevel, getSeverityMatchFunction, getSilencesFilterFunction };
@@ -0,0 +1,117 @@
+import { escapeHtml, SAFE_URL } from './markdown.js';
+import { getSummaryContext } from './messages.js';
+import { sortSilences, formatMatchers } from './util.js';
+
+// The page reloads itself every 30 seconds
+const REFRESH_SECONDS = 30;
+
+// The page only needs its inline styles; scripts, images, frames and forms are blocked
+const CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'";
+
+const formatTime = (time) => time ? new Date(time).toLocaleString("en-GB") : 'Never';
+
+const STYLE = `
+    body { font-family: sans-serif; margin: 2em; color: #222; }
+    h1 { font-size: 1.4em; }
+    h2 { font-size: 1.2em; margin-top: 2em; }
+    h3 { font-size: 1em; margin-bottom: 0.3em; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 0.3em 0.6em; border-bottom: 1px solid #ddd; vertical-align: top; }
+    .muted { color: #777; }
+    .severity { font-weight: bold; white-space: nowrap; }
+`;
+
+const renderAlertRow = (alert) => {
+    const labels = alert.additionalLabels.map(label => escapeHtml(label.value)).join(', ');
+    // The source URL comes from the webhook, so only safe schemes are linked
+    const name = alert.links.source && SAFE_URL.test(alert.links.source)
+        ? `<a href="${escapeHtml(alert.links.source)}">${escapeHtml(alert.alertname)}</a>`
+        : escapeHtml(alert.alertname);
+    const notes = [
+        alert.flapping ? '〰️ flapping' : '',
+        alert.ack ? `acked by ${escapeHtml(alert.ack.by)} ${escapeHtml(alert.ack.ago)}` : '',
+    ].filter(Boolean).join(', ');
+
+    return `<tr>
+        <td class="severity" style="color: ${escapeHtml(alert.color)}">${escapeHtml([alert.icon, alert.severity].filter(Boolean).join(' '))}</td>
+        <td>${name}${labels ? ` <span class="muted">(${labels})</span>` : ''}</td>
+        <td>${escapeHtml(alert.summary || alert.description || '')}</td>
+        <td>${escapeHtml(alert.duration)} <span class="muted">(since ${escapeHtml(alert.startsAt)})</span></td>
+        <td>${notes}</td>
+    </tr>`;
+};
+
+const renderAlerts = (alerts) => {
+    const { hosts, alertCount } = getSummaryContext('ALL', alerts, []);
+    if (alertCount === 0) return '<p>No active alerts!</p>';
+
+    return hosts.map(({ host, alerts: hostAlerts }) => `
+        <h3>Host: ${escapeHtml(host)}</h3>
+        <table>
+            <tr><th>Severity</th><th>Alert</th><th>Summary</th><th>Active for</th><th></th></tr>
+            ${hostAlerts.map(renderAlertRow).join('')}
+        </table>`).join('');
+};
+
+const renderSilences = (silences) => {
+    if (silences.length === 0) return '<p>No active silences.</p>';
+
+    return `<table>
+        <tr><th>Matchers</th><th>Until</th><th>Created by</th><th>Comment</th><th>Source</th></tr>
+        ${sortSilences(silences).map(silence => `<tr>
+            <td>${escapeHtml(formatMatchers(silence.matchers ?? []))}</td>
+            <td>${escapeHtml(formatTime(silence.endsAt))}</td>
+            <td>${escapeHtml(silence.createdBy || 'Unknown')}</td>
+            <td>${escapeHtml(silence.comment || '')}</td>
+            <td>${escapeHtml(silence.source)}</td>
+        </tr>`).join('')}
+    </table>`;
+};
+
+const renderFailures = (failures) => {
+    if (failures.length === 0) return '<p>No delivery failures in the last 24 hours.</p>';
+
+    return `<table>
+        <tr><th>Time</th><th>Room</th><th>Event</th><th>State</th><th>Error</th></tr>
+        ${failures.map(entry => `<tr>
+            <td>${escapeHtml(formatTime(entry.updatedAt))}</td>
+            <td>${escapeHtml(entry.roomId)}</td>
+            <td>${escapeHtml(entry.eventType)}</td>
+            <td>${entry.status === 'failed' ? 'given up' : `retrying (attempt ${entry.attempts})`}</td>
+            <td>${escapeHtml(entry.lastError)}</td>
+        </tr>`).join('')}
+    </table>`;
+};
+
+// Read-only HTML overview of what the bridge believes is firing.
+// `state` is { alerts, silences, lastWebhook, lastMatrix, outbox: { pending, failed }, failures }, times as ISO strings or ms.
+const createStatusPage = (state) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta http-equiv="refresh" content="${REFRESH_SECONDS}">
+    <title>Grafana2Matrix Status</title>
+    <style>${STYLE}</style>
+</head>
+<body>
+    <h1>Grafana2Matrix Status</h1>
+    <p class="muted">Updated ${escapeHtml(formatTime(Date.now()))} (UTC), refreshes every ${REFRESH_SECONDS} seconds</p>
+    <table>
+        <tr><th>Last webhook received</th><td>${escapeHtml(formatTime(state.lastWebhook))} (UTC)</td></tr>
+        <tr><th>Last Matrix sync</th><td>${escapeHtml(formatTime(state.lastMatrix))} (UTC)</td></tr>
+        <tr><th>Outbox</th><td>${state.outbox.pending} pending, ${state.outbox.failed} failed in the last 24 hours</td></tr>
+    </table>
+
+    <h2>Active Alerts (${state.alerts.length})</h2>
+    ${renderAlerts(state.alerts)}
+
+    <h2>Active Silences (${state.silences.length})</h2>
+    ${renderSilences(state.silences)}
+
+    <h2>Recent Delivery Failures</h2>
+    ${renderFailures(state.failures)}
+</body>
+</html>
+`;
+
+export { createStatusPage, CONTENT_SECURITY_POLICY };
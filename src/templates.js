@@ -0,0 +1,143 @@
+import fs from 'node:fs';
+import { config } from './config.js';
+import { escapeMarkdown } from './markdown.js';
+
+// Message types that can be overridden in the template file
+const TEMPLATE_TYPES = ['alert', 'resolved_reply', 'persistent', 'summary', 'silences', 'report'];
+
+let templates = {};
+
+// Splits a Mustache-style template into a tree of text, variable and section nodes. Supported tags:
+// {{name}}, {{a.b}}, {{.}}, {{{raw}}}, {{#section}}...{{/section}}, {{^inverted}}...{{/inverted}}, {{! comment }}
+const parseTemplate = (source) => {
+    const root = { children: [] };
+    const stack = [root];
+    const tagPattern = /\{\{\{\s*(.*?)\s*\}\}\}|\{\{\s*([#^/!]?)\s*(.*?)\s*\}\}/g;
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(tagPattern)) {
+        const [tag, rawName, type, tagName] = match;
+        const name = rawName ?? tagName;
+        const current = stack[stack.length - 1];
+
+        if (match.index > lastIndex) {
+            current.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + tag.length;
+
+        if (type === '!') continue;
+
+        if (!/^(\.|[\w-]+(\.[\w-]+)*)$/.test(name)) {
+            throw new Error(`Invalid tag ${tag}`);
+        }
+
+        if (type === '#' || type === '^') {
+            const section = { type: type === '#' ? 'section' : 'inverted', name, children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (type === '/') {
+            if (stack.length === 1 || current.name !== name) {
+                throw new Error(`Unexpected closing tag ${tag}`);
+            }
+            stack.pop();
+        } else {
+            current.children.push({ type: 'variable', name, raw: rawName !== undefined });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+    }
+
+    if (lastIndex < source.length) {
+        root.children.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+    return root;
+};
+
+// Looks up a (dotted) name, starting at the innermost context
+const lookup = (contexts, name) => {
+    if (name === '.') return contexts[contexts.length - 1];
+
+    const [first, ...rest] = name.split('.');
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const context = contexts[i];
+        if (context !== null && typeof context === 'object' && first in context) {
+            return rest.reduce((value, key) => value?.[key], context[first]);
+        }
+    }
+    return undefined;
+};
+
+const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+const renderNodes = (nodes, contexts) => {
+    let output = '';
+
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'variable') {
+            const value = lookup(contexts, node.name);
+            if (value === undefined || value === null) continue;
+            // Values come from alerts and users, so they are shown literally unless inserted with {{{raw}}}
+            const format = node.raw ? String : escapeMarkdown;
+            output += Array.isArray(value) ? value.map(format).join(', ') : format(value);
+        } else if (node.type === 'section') {
+            const value = lookup(contexts, node.name);
+            if (isEmpty(value)) continue;
+
+            if (Array.isArray(value)) {
+                for (const item of value) {
+                    output += renderNodes(node.children, [...contexts, item]);
+                }
+            } else if (typeof value === 'object') {
+                output += renderNodes(node.children, [...contexts, value]);
+            } else {
+                output += renderNodes(node.children, contexts);
+            }
+        } else if (node.type === 'inverted') {
+            if (isEmpty(lookup(contexts, node.name))) {
+                output += renderNodes(node.children, contexts);
+            }
+        }
+    }
+    return output;
+};
+
+// Reads and validates TEMPLATE_PATH. Throws on errors, so a broken file is reported on startup and on .reload-config.
+const loadTemplates = () => {
+    if (!config.TEMPLATE_PATH) {
+        templates = {};
+        return;
+    }
+
+    const content = JSON.parse(fs.readFileSync(config.TEMPLATE_PATH, 'utf8'));
+    const loaded = {};
+
+    for (const [type, source] of Object.entries(content)) {
+        if (!TEMPLATE_TYPES.includes(type)) {
+            throw new Error(`Unknown template type "${type}" (expected one of ${TEMPLATE_TYPES.join(', ')})`);
+        }
+        // Templates can be written as a list of lines to keep the JSON readable
+        const text = Array.isArray(source) ? source.join('\n') : String(source);
+        try {
+            loaded[type] = parseTemplate(text);
+        } catch (error) {
+            throw new Error(`Invalid template "${type}": ${error.message}`);
+        }
+    }
+
+    templates = loaded;
+    console.log(`Loaded templates for ${Object.keys(loaded).join(', ') || 'no message types'} from ${config.TEMPLATE_PATH}`);
+};
+
+// Renders the user-defined template for a message type, or returns undefined to use the built-in layout
+const renderTemplate = (type, context) => {
+    const template = templates[type];
+    if (!template) return undefined;
+
+    return renderNodes(template.children, [context]);
+};
+
+export { loadTemplates, renderTemplate };
@@ -1,7 +1,13 @@
 import fs from 'node:fs';
 import { config } from './config.js';
 import { createPersistentAlertMessage } from './messages.js';
-import { getLastSentSchedule, setLastSentSchedule } from './db.js';
+import { getRuleContacts } from './oncall.js';
+import { getMaintenanceWindows } from './maintenance.js';
+import { getAlertSeverityLevel, getSeverityLevels } from './severity.js';
+import { getPreviousCronTime } from './cron.js';
+import { recordAlertEvent } from './history.js';
+import { recordMentions } from './metrics.js';
+import { getLastSentSchedule, setLastSentSchedule, getMessagesForAlert } from './db.js';
 
 // Helper to get mention config
 const getMentionConfig = () => {
@@ -42,30 +48,87 @@ const getScheduleTimestamp = (minuteOfDay) => {
 const sortAlertsByUsers = (alerts) => {
     const groups = {};
     for (const item of alerts) {
-        const key = item.users.join(',');
-        if (!groups[key]) groups[key] = { users: item.users, alerts: [] };
+        // Alerts with an own message get their own group, so the notification can be threaded below it
+        const key = `${item.room}|${item.rootEventId ?? ''}|${item.users.join(',')}`;
+        if (!groups[key]) groups[key] = { room: item.room, rootEventId: item.rootEventId, users: item.users, alerts: [] };
         groups[key].alerts.push(item);
     }
     return groups;
 }
 
-const isCritical = (severity) => severity.toUpperCase() === 'CRITICAL' || severity.toUpperCase() === 'CRIT';
-const isWarn  = (severity) => severity.toUpperCase() === 'WARNING' || severity.toUpperCase() === 'WARN';
+// Mention rules in the order they are checked. The mention config is either a list of rules
+// ({ "mode": "first" | "merge", "rules": [...], "rotations": {...}, "business_hours": {...} } or just the list),
+// or the old object keyed by the exact host.
+const parseMentionRules = (mentionConfig) => {
+
+    if (Array.isArray(mentionConfig) || Array.isArray(mentionConfig.rules)) {
+        const rotations = mentionConfig.rotations ?? {};
+        const rules = [];
+        for (const [index, rule] of (mentionConfig.rules ?? mentionConfig).entries()) {
+            try {
+                rules.push({
+                    ...rule,
+                    key: rule.name ?? String(index),
+                    matchers: parseMatchers(rule.matchers),
+                    businessHours: rule.business_hours ?? mentionConfig.business_hours,
+                    rotations,
+                });
+            } catch (e) {
+                console.error(`Skipping mention rule ${rule.name ?? index}:`, e.message);
+            }
+        }
+        return { mode: mentionConfig.mode === 'merge' ? 'merge' : 'first', rules, rotations };
+    }
+
+    // Old format: one rule per host, without a key so mentions already sent keep their state
+    const rules = Object.entries(mentionConfig).map(([host, conf]) => ({ ...conf, host }));
+    return { mode: 'first', rules, rotations: {} };
+};
+
+// The mention config is read and its rules are parsed once on startup and on .reload-config, invalid rules are logged then
+let mentionRules;
+
+const loadMentionConfig = () => {
+    mentionRules = parseMentionRules(getMentionConfig());
+};
+
+const getMentionRules = () => {
+    if (!mentionRules) loadMentionConfig();
+    return mentionRules;
+};
+
+const getAlertHost = (alert) => getAlertValue(alert, "host") ?? getAlertValue(alert, "instance") ?? "Unknown Host";
+
+// Rules that apply to an alert: only the first matching one, or all of them in "merge" mode
+const getMatchingMentionRules = (alert) => {
+    const { mode, rules } = getMentionRules();
+    const matching = [];
+
+    for (const rule of rules) {
+        const matches = rule.host !== undefined ? getAlertHost(alert) === rule.host : matchesMatchers(alert, rule.matchers);
+        if (matches) {
+            matching.push(rule);
+            if (mode !== 'merge') break;
+        }
+    }
+    return matching;
+};
 
-const checkMention = (conf, alert, type, strategy) => {
+const checkMention = (rule, alert, type, strategy) => {
 
-    const severity = getAlertValue(alert, "severity", "UNKNOWN").toUpperCase();
+    // Somebody is already working on it
+    if (alert.ack) return false;
+
+    const level = getAlertSeverityLevel(alert);
     const startsAt = new Date(alert.startsAt).getTime();
     const durationMinutes = (Date.now() - startsAt) / (1000 * 60);
 
+    // Keys are named after the severity level, e.g. delay_crit_primary
     let repeat;
     let delay = -1;
-    if (isCritical(severity)) {
-        repeat = conf[`repeat_crit_${type}`];
-        delay = conf[`delay_crit_${type}`];
-    } else if (isWarn(severity)) {
-        repeat = conf[`repeat_warn_${type}`];
-        delay = conf[`delay_warn_${type}`];
+    if (level) {
+        repeat = rule[`repeat_${level.mention}_${type}`];
+        delay = rule[`delay_${level.mention}_${type}`];
     }
     
     // Never mention
@@ -82,8 +145,8 @@ const checkMention = (conf, alert, type, strategy) => {
     // Every run of the loop (i.e. every minute)
     if (repeat === 0 && strategy === "loop") return true; 
 
-    // Normal repeat interval
-    const lastSentKey = `last_sent_${type}`;
+    // Normal repeat interval, tracked per rule
+    const lastSentKey = rule.key === undefined ? `last_sent_${type}` : `last_sent_${rule.key}_${type}`;
     const lastSent = alert.mentionsSent?.[lastSentKey] || 0;
     
     // Never repeat, so check if we ever sent out a mention
@@ -105,31 +168,35 @@ const checkMention = (conf, alert, type, strategy) => {
 
 const checkMentionMessages = (alerts, strategy) => {
 
-    const mentionConfig = getMentionConfig();
     const mentions = [];
     const messagesToReturn = [];
+    const maintenanceWindows = getMaintenanceWindows();
 
     for (const alert of alerts) {
-        const host = getAlertValue(alert, "host") ?? getAlertValue(alert, "instance") ?? "Unknown Host";
-
         const id = alert.fingerprint;
 
-        if (host && mentionConfig[host]) {
-            const conf = mentionConfig[host];
-            
-            let usersToMention = [];
+        // Nobody is paged for alerts during maintenance
+        if (maintenanceWindows.some(window => matchesMatchers(alert, window.matchers))) continue;
 
-            if (checkMention(conf, alert, 'secondary', strategy)) {
-                usersToMention.push(...conf.secondary);
+        let usersToMention = [];
+
+        for (const rule of getMatchingMentionRules(alert)) {
+            if (checkMention(rule, alert, 'secondary', strategy)) {
+                usersToMention.push(...getRuleContacts(rule, 'secondary'));
             }
-            if (checkMention(conf, alert, 'primary', strategy)) {
-                usersToMention.push(...conf.primary);
+            if (checkMention(rule, alert, 'primary', strategy)) {
+                usersToMention.push(...getRuleContacts(rule, 'primary'));
             }
-            
-            usersToMention = [...new Set(usersToMention)];
-            
-            if (usersToMention.length > 0) {
-                mentions.push({ id, alert, users: usersToMention.sort() });
+        }
+
+        usersToMention = [...new Set(usersToMention)];
+
+        if (usersToMention.length > 0) {
+            recordAlertEvent(alert, 'mention', { details: { users: usersToMention } });
+            recordMentions('persistent', usersToMention.length);
+            for (const room of getAlertRooms(alert)) {
+                const rootEventId = getAlertEventId(id, room);
+                mentions.push({ id, alert, users: usersToMention.sort(), room, rootEventId });
             }
         }
     }
@@ -140,66 +207,133 @@ const checkMentionMessages = (alerts, strategy) => {
 
         for (const key in groups) {
             const msg = createPersistentAlertMessage(groups[key].alerts);
-            messagesToReturn.push(msg);
+            messagesToReturn.push({ room: groups[key].room, rootEventId: groups[key].rootEventId, message: msg });
         }
     }
     return messagesToReturn;
 }
 
-const checkSchedule = async (severity, scheduleStr) => {
-        if (!scheduleStr) return false;
-        
-        const scheduledTimestamps = scheduleStr.split(',')
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// Schedules are cron expressions or lists of HH:mm times ("6:00,14:30"), which become one cron expression per time
+const parseSchedule = (schedule) => {
+    const entries = Array.isArray(schedule) ? schedule : [String(schedule)];
+
+    return entries.flatMap(entry => {
+        if (!/^\s*\d{1,2}:\d{2}(\s*,\s*\d{1,2}:\d{2})*\s*$/.test(entry)) return [entry];
+
+        return entry.split(',')
             .map(s => parseTimeToMinutes(s.trim()))
-            .filter(m => m >= 0)
-            .sort((a, b) => a - b)
-            .map(minutes => getScheduleTimestamp(minutes));
+            .filter(m => m >= 0 && m < 24 * 60)
+            .map(m => `${m % 60} ${Math.floor(m / 60)} * * *`);
+    });
+};
 
-        if (scheduledTimestamps.length === 0) {
-            return false;
-        }
+// How old a missed slot may be to still be sent after downtime: "latest" (default) sends the most recent missed slot,
+// "none" skips missed slots, and a duration ("2h") sends the most recent slot if it is not older than that.
+const getCatchUpAge = (catchUp) => {
+    if (catchUp === 'none') return 5 * 60 * 1000;
+    if (!catchUp || catchUp === 'latest') return WEEK;
+    return Math.min(parseDuration(catchUp) ?? WEEK, WEEK);
+};
+
+// Returns true if a slot of the schedule passed since the last summary for `key`, and records it as sent.
+const checkSchedule = async (key, schedule, { timezone = 'UTC', catchUp = config.SUMMARY_CATCH_UP } = {}) => {
+        if (!schedule || schedule.length === 0) return false;
 
-        let lastSent = Number(getLastSentSchedule(severity));
+        let lastSent = Number(getLastSentSchedule(key));
 
         // convert old date mode to new (v0.1.9)
         if (lastSent < 10000) {
             const convertedLastSent = getScheduleTimestamp(lastSent);
-            setLastSentSchedule(severity, convertedLastSent);
+            setLastSentSchedule(key, convertedLastSent);
             lastSent = convertedLastSent;
         }
 
-        for (const scheduledTimestamp of scheduledTimestamps) {
+        const now = Date.now();
+        const lookback = Math.min(now - lastSent, getCatchUpAge(catchUp));
+        let latestSlot;
 
-            if (scheduledTimestamp < Date.now() && lastSent < scheduledTimestamp) {
-                const date = new Date(scheduledTimestamp);
-                console.log(`Triggering ${severity} Summary at ${date.getUTCHours()}:${date.getUTCMinutes()} UTC`);
-    
-                setLastSentSchedule(severity, scheduledTimestamp);
-                return true;
+        try {
+            for (const expression of parseSchedule(schedule)) {
+                const slot = getPreviousCronTime(expression, now, timezone || 'UTC', lookback);
+                if (slot !== undefined && slot > lastSent && !(slot <= latestSlot)) latestSlot = slot;
             }
-
+        } catch (e) {
+            console.error(`Invalid summary schedule for ${key}:`, e.message);
+            return false;
         }
 
+        if (latestSlot === undefined) return false;
+
+        console.log(`Triggering ${key} Summary for ${new Date(latestSlot).toISOString()} (${timezone || 'UTC'})`);
+        setLastSentSchedule(key, latestSlot);
+        return true;
     };
 
-const getSeverityMatchFunction = (severity) => {
-    let matcherFunc = sev => sev === severity;
-    
-    if (isCritical(severity)) {
-        matcherFunc = isCritical;
-    } else if (isWarn(severity)) {
-        matcherFunc = isWarn;
+// Scheduled summaries. SUMMARY_JOBS replaces the schedules of the severity levels (SUMMARY_SCHEDULE_CRIT/_WARN).
+// `key` identifies the job's last sent summary in the database. Jobs with `type` "report" post the noise report instead.
+const getSummaryJobs = () => {
+    const jobs = Array.isArray(config.SUMMARY_JOBS) ? config.SUMMARY_JOBS : [];
+    const parsed = [];
+
+    // The noise report of REPORT_SCHEDULE is a job of its own
+    if (config.REPORT_SCHEDULE) {
+        parsed.push({
+            name: 'report',
+            key: 'report',
+            type: 'report',
+            schedule: config.REPORT_SCHEDULE,
+            timezone: config.SUMMARY_TIMEZONE,
+            catchUp: config.SUMMARY_CATCH_UP,
+            period: config.REPORT_PERIOD,
+            matchers: [],
+        });
     }
 
-    return matcherFunc;
-    
-}
+    if (jobs.length === 0) {
+        return parsed.concat(getSeverityLevels()
+            .filter(level => level.schedule)
+            .map(level => ({
+                name: level.name,
+                key: level.name,
+                schedule: level.schedule,
+                timezone: level.timezone ?? config.SUMMARY_TIMEZONE,
+                catchUp: config.SUMMARY_CATCH_UP,
+                severity: level.name,
+                matchers: [],
+            })));
+    }
 
-const getSilencesFilterFunction = (severity) => {
-    const matcherFunc = getSeverityMatchFunction(severity);
+    for (const [index, job] of jobs.entries()) {
+        const name = job?.name ?? `summary ${index + 1}`;
+        try {
+            if (!job.schedule) throw new Error('No schedule');
+            parsed.push({
+                ...job,
+                name,
+                key: `job:${name}`,
+                timezone: job.timezone ?? config.SUMMARY_TIMEZONE,
+                catchUp: job.catchUp ?? config.SUMMARY_CATCH_UP,
+                matchers: parseMatchers(job.matchers),
+            });
+        } catch (e) {
+            console.error(`Skipping summary job ${name}:`, e.message);
+        }
+    }
+    return parsed;
+};
 
-    return e => matcherFunc(e.matchers.find(v => v.name === "severity").value)
-}
+// Sorts silences in place by end time, soonest first
+const sortSilences = (silences) => {
+    return silences.sort((a, b) => {
+        const dateA = new Date(a.endsAt);
+        const dateB = new Date(b.endsAt);
+        if (Number.isNaN(dateA.getTime())) return 1;
+        if (Number.isNaN(dateB.getTime())) return -1;
+        return dateA.getTime() - dateB.getTime();
+    });
+};
 
 const getAlertValue = (a, label, defaultValue = undefined) => {
     return a.labels[label] || a.annotations[label] || defaultValue;
@@ -219,4 +353,193 @@ const getAdditionalLabels = (alert) => {
     return labels;
 };
 
-export { getMentionConfig, isCritical, isWarn, parseTimeToMinutes, sortAlertsByUsers, checkMentionMessages, checkSchedule, getSeverityMatchFunction, getSilencesFilterFunction, getAlertValue, getAdditionalLabels };
+// Splits matchers on commas, except inside quotes and brackets (`host=~db-0[1,2]`, `job=~"a{1,3}"`)
+const splitMatchers = (input) => {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+    let depth = 0;
+
+    for (const char of input) {
+        if (char === '"') quoted = !quoted;
+        else if (!quoted && '([{'.includes(char)) depth++;
+        else if (!quoted && ')]}'.includes(char)) depth = Math.max(0, depth - 1);
+
+        if (char === ',' && !quoted && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    return [...parts, current];
+};
+
+// Regex matchers are anchored, like in Alertmanager. The compiled RegExp is not enumerable, so it is not stored or sent to Grafana.
+const compileMatcher = (matcher) => {
+    if (!matcher.isRegex) return matcher;
+
+    let regex;
+    try {
+        regex = new RegExp(`^(?:${matcher.value})$`);
+    } catch (e) {
+        throw new Error(`Invalid label matcher: ${formatMatchers([matcher])} (${e.message})`);
+    }
+    return Object.defineProperty(matcher, 'regex', { value: regex });
+};
+
+// Parses label matchers in Alertmanager syntax (`team=db`, `host=~db-.*`, `env!=dev`, `job!~test.*`)
+// into the matcher format used by Grafana silences. An object ({ team: "db" }) is read as a list of equality matchers.
+const parseMatchers = (input) => {
+    if (!input) return [];
+
+    if (!Array.isArray(input) && typeof input === 'object') {
+        return Object.entries(input).map(([name, value]) => ({ name, value: String(value), isRegex: false, isEqual: true }));
+    }
+
+    const parts = Array.isArray(input) ? input : splitMatchers(String(input));
+    const matchers = [];
+
+    for (const part of parts) {
+        if (typeof part === 'object') {
+            matchers.push(compileMatcher({ isRegex: false, isEqual: true, ...part }));
+            continue;
+        }
+
+        const match = /^\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*(=~|!~|!=|=)\s*"?(.*?)"?\s*$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid label matcher: ${part}`);
+        }
+        const [, name, operator, value] = match;
+        matchers.push(compileMatcher({
+            name,
+            value,
+            isRegex: operator === '=~' || operator === '!~',
+            isEqual: operator === '=' || operator === '=~',
+        }));
+    }
+
+    return matchers;
+};
+
+// Missing labels are treated as empty strings. Matchers that were not parsed by parseMatchers (e.g. of Grafana silences) are compiled here.
+const matchesMatchers = (alert, matchers) => {
+    return matchers.every(m => {
+        const value = String(getAlertValue(alert, m.name, ''));
+        const matches = m.isRegex ? (m.regex ?? compileMatcher({ ...m }).regex).test(value) : value === m.value;
+        return m.isEqual ? matches : !matches;
+    });
+};
+
+// Formats matchers back to Alertmanager syntax, e.g. "team=db, host=~db-.*"
+const formatMatchers = (matchers) => {
+    const operator = (m) => m.isRegex ? (m.isEqual ? '=~' : '!~') : (m.isEqual ? '=' : '!=');
+    return matchers.map(m => `${m.name}${operator(m)}${m.value}`).join(', ');
+};
+
+// Routes are parsed once per (re)load of the config, which replaces MATRIX_ROUTES. Invalid routes are logged and skipped.
+let parsedRoutes = { source: undefined, routes: [] };
+
+const getRoutes = () => {
+    if (parsedRoutes.source === config.MATRIX_ROUTES) return parsedRoutes.routes;
+
+    const routes = Array.isArray(config.MATRIX_ROUTES) ? config.MATRIX_ROUTES : [];
+    const parsed = [];
+
+    for (const [index, route] of routes.entries()) {
+        try {
+            if (!route?.room) throw new Error('No room');
+            parsed.push({ room: route.room, matchers: parseMatchers(route.matchers), continue: !!route.continue });
+        } catch (e) {
+            console.error(`Skipping route ${index + 1}:`, e.message);
+        }
+    }
+
+    parsedRoutes = { source: config.MATRIX_ROUTES, routes: parsed };
+    return parsed;
+};
+
+// Rooms an alert is sent to: routes are checked in order and the first match wins, unless it sets `continue`.
+// Alerts without a matching route go to the default room.
+const getAlertRooms = (alert) => {
+    const rooms = [];
+
+    for (const route of getRoutes()) {
+        if (matchesMatchers(alert, route.matchers)) {
+            if (!rooms.includes(route.room)) rooms.push(route.room);
+            if (!route.continue) break;
+        }
+    }
+
+    return rooms.length > 0 ? rooms : [config.MATRIX_ROOM_ID];
+};
+
+// Silences carry no labels, so their equality matchers are used as labels
+const getSilenceLabels = (silence) => {
+    const labels = {};
+    for (const m of silence.matchers || []) {
+        if (m.isEqual !== false && !m.isRegex) labels[m.name] = m.value;
+    }
+    return { labels, annotations: {} };
+};
+
+const getSilenceRooms = (silence) => getAlertRooms(getSilenceLabels(silence));
+
+const silenceMatches = (silence, matchers) => matchesMatchers(getSilenceLabels(silence), matchers);
+
+// Event ID of the message that announced an alert in a room, if there is one
+const getAlertEventId = (alertId, roomId) => {
+    return getMessagesForAlert(alertId).find(m => (m.roomId ?? config.MATRIX_ROOM_ID) === roomId)?.eventId;
+};
+
+const getAllRooms = () => {
+    return [...new Set([config.MATRIX_ROOM_ID, ...getRoutes().map(route => route.room)])];
+};
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Parses durations like "30m", "8h", "1d12h" or "2w" to milliseconds. Returns null for invalid input.
+const parseDuration = (str) => {
+    if (!str || !/^(\d+[smhdw])+$/i.test(String(str).trim())) return null;
+
+    let ms = 0;
+    for (const [, amount, unit] of String(str).trim().matchAll(/(\d+)([smhdw])/gi)) {
+        ms += Number(amount) * DURATION_UNITS[unit.toLowerCase()];
+    }
+    return ms > 0 ? ms : null;
+};
+
+// Emoji may or may not carry a variation selector depending on the client
+const normalizeReactionKey = (key) => String(key).replace(/\uFE0F/g, '');
+
+// Silence duration configured for a reaction key, or undefined if the reaction does not silence
+const getSilenceDurationForReaction = (key) => {
+    const reactions = config.SILENCE_REACTIONS || {};
+    const entry = Object.entries(reactions).find(([k]) => normalizeReactionKey(k) === normalizeReactionKey(key));
+    return entry?.[1];
+};
+
+const isAckReaction = (key) => {
+    const reactions = Array.isArray(config.ACK_REACTIONS) ? config.ACK_REACTIONS : [];
+    return reactions.some(k => normalizeReactionKey(k) === normalizeReactionKey(key));
+};
+
+// Event a message replies to: the `m.in_reply_to` target, or the thread root for messages in a thread.
+const getRelatedEventId = (event) => {
+    const relatesTo = event.content?.['m.relates_to'];
+    return relatesTo?.['m.in_reply_to']?.event_id ?? (relatesTo?.rel_type === 'm.thread' ? relatesTo.event_id : undefined);
+};
+
+// Replies may contain a quote of the original message ("> <@user> ...") in front of the actual text
+const stripReplyFallback = (body) => {
+    if (!body) return body;
+
+    const lines = body.split('\n');
+    let i = 0;
+    while (i < lines.length && lines[i].startsWith('>')) i++;
+    if (i === 0) return body;
+
+    return lines.slice(i).join('\n').trim();
+};
+
+export { getMentionConfig, loadMentionConfig, getMentionRules, getMatchingMentionRules, parseTimeToMinutes, sortAlertsByUsers, checkMentionMessages, checkSchedule, getSummaryJobs, sortSilences, getAlertValue, getAdditionalLabels, parseMatchers, matchesMatchers, formatMatchers, getAlertRooms, getSilenceRooms, silenceMatches, getAllRooms, getAlertEventId, parseDuration, normalizeReactionKey, getSilenceDurationForReaction, isAckReaction, getRelatedEventId, stripReplyFallback };